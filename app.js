@@ -2,52 +2,819 @@
 
 const STORAGE_KEY = 'foodsiesData:v1';
 const THEME_KEY = 'foodsiesTheme:v1';
+const BACKUP_KEY_PREFIX = 'foodsiesData:backup:'; // + 'v<version>' before a migration, 'unreadable' for broken JSON
 
-/** Data shape
- * {
- *   version: 1,
- *   settings: { goalKcal?: number|null, goalProtein?: number|null },
- *   ingredients: [{ id, name, brand?, kcal100, protein100, pricePerKg?, portionName?, portionGrams?, notes? }],
- *   meals: [{ id, name, items: [{ ingredientId, mode: 'grams'|'portion', amount }] }],
- *   days: [{ id, name: string, items: [{ mealId }] }]
- * }
- */
+// The data model (shape, migrations, validation) and the nutrition math live in core.js, loaded before this file
+const {
+  NUTRIENTS, MACROS, UNITS, DATA_VERSION, uid, isISODate, toISODate, shiftISODate, defaultSettings, defaultShopping, emptyData,
+  migrateData, validateData, round1, round2, computeFrom100g, itemSourceId, ingredientPortions, getPortion, itemGrams, computeItem,
+  emptyTotals, addTotals, roundTotals, scaleTotals, mealWithOverrides, frozenIngredient,
+} = FoodsiesCore;
 
-function uid(prefix = 'id') {
-  return `${prefix}_${Math.random().toString(36).slice(2, 9)}`;
+// ---------- Storage (IndexedDB profiles, localStorage fallback) ----------
+// Each profile keeps its own data object in IndexedDB ('data' store, keyed by profile id).
+// Browsers without IndexedDB keep using the single localStorage key with one implicit profile.
+const DB_NAME = 'foodsies';
+const DB_VERSION = 1;
+const ACTIVE_PROFILE_KEY = 'foodsiesProfile:v1';
+
+// Set when storage holds data from a newer app version: we must not overwrite it
+let storageLocked = false;
+let storageReady = false; // saves are ignored until the active profile has been loaded
+let db = null; // null means the localStorage fallback
+let profiles = []; // [{ id, name }]
+let currentProfileId = null;
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error || new Error('Storage transaction failed.'));
+  });
+}
+
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const d = req.result;
+      if (!d.objectStoreNames.contains('profiles')) d.createObjectStore('profiles', { keyPath: 'id' });
+      if (!d.objectStoreNames.contains('data')) d.createObjectStore('data');
+      if (!d.objectStoreNames.contains('meta')) d.createObjectStore('meta');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error('Storage is blocked by another open Foodsies tab.'));
+  });
+}
+
+function idbGet(store, key) {
+  return idbRequest(db.transaction(store).objectStore(store).get(key));
+}
+
+function idbPut(store, value, key) {
+  const tx = db.transaction(store, 'readwrite');
+  tx.objectStore(store).put(value, key);
+  return idbDone(tx);
+}
+
+// Upgrades and checks data read from storage. keepBackup(from) stores the untouched original
+// before a migration result replaces it. Returns null for data from a newer app version.
+function prepareStoredData(stored, keepBackup) {
+  let result;
+  try {
+    result = migrateData(stored);
+  } catch (err) {
+    alert(t('{error}\nChanges made here will not be saved.', { error: err.message }));
+    return null;
+  }
+  const { data, from } = result;
+  if (from < DATA_VERSION) keepBackup(from);
+  const errors = validateData(data);
+  if (errors.length) {
+    alert(t('Some stored records look invalid:\n{problems}', { problems: errors.slice(0, 10).join('\n') + (errors.length > 10 ? '\n' + t('…and {count} more', { count: errors.length - 10 }) : '') }));
+  }
+  return data;
 }
 
-function loadData() {
+// Reads the localStorage blob; null when it comes from a newer app version
+function loadLocalData() {
   const raw = localStorage.getItem(STORAGE_KEY);
-  if (!raw) return { version: 1, settings: { goalKcal: null, goalProtein: null }, ingredients: [], meals: [], days: [] };
+  if (!raw) return emptyData();
+  let stored;
   try {
-    const data = JSON.parse(raw);
-    // Basic migration/validation
-    if (!data.version) data.version = 1;
-    if (!data.settings) data.settings = { goalKcal: null, goalProtein: null };
-    if (!Array.isArray(data.ingredients)) data.ingredients = [];
-    // Ensure ingredient pricePerKg exists
-    data.ingredients = data.ingredients.map(i => ({ ...i, pricePerKg: (i.pricePerKg ?? null) }));
-    if (!Array.isArray(data.meals)) data.meals = [];
-    if (!Array.isArray(data.days)) data.days = [];
-    // Migrate day.date -> day.name (if needed)
-    data.days = data.days.map(d => {
-      if (d && !d.name && d.date) {
-        return { id: d.id || uid('day'), name: d.date, items: Array.isArray(d.items) ? d.items : [] };
-      }
-      return { id: d.id || uid('day'), name: d.name || 'Untitled', items: Array.isArray(d.items) ? d.items : [] };
-    });
-    return data;
+    stored = JSON.parse(raw);
+  } catch {
+    localStorage.setItem(BACKUP_KEY_PREFIX + 'unreadable', raw);
+    alert(t('Stored data could not be read and was set aside. Starting with empty data.'));
+    return emptyData();
+  }
+  // Keep the untouched original around in case a migration gets something wrong
+  const data = prepareStoredData(stored, from => localStorage.setItem(BACKUP_KEY_PREFIX + 'v' + from, raw));
+  if (data && data.version !== stored.version) localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+  return data;
+}
+
+async function loadProfileData(id) {
+  const stored = await idbGet('data', id);
+  if (!stored) return emptyData();
+  let backup = null;
+  const data = prepareStoredData(stored, from => { backup = idbPut('meta', stored, `${BACKUP_KEY_PREFIX}${id}:v${from}`); });
+  if (data && data.version !== stored.version) {
+    // The original is only replaced once its backup is stored
+    try {
+      await backup;
+    } catch (err) {
+      throw new Error(`The stored data could not be backed up before upgrading it (${err.message}); it was left as it was.`);
+    }
+    await idbPut('data', data, id);
+  }
+  return data;
+}
+
+// Opens the database, moves an existing localStorage blob into a "Default" profile
+// the first time, and resolves with the active profile's data.
+async function initStorage() {
+  try {
+    db = window.indexedDB ? await openDB() : null;
   } catch {
-    return { version: 1, settings: { goalKcal: null, goalProtein: null }, ingredients: [], meals: [], days: [] };
+    db = null;
+  }
+  if (!db) {
+    profiles = [{ id: 'local', name: 'Default' }];
+    currentProfileId = 'local';
+    return loadLocalData();
   }
+  profiles = await idbRequest(db.transaction('profiles').objectStore('profiles').getAll());
+  if (!profiles.length) {
+    const data = loadLocalData();
+    if (!data) return null;
+    const profile = { id: uid('profile'), name: 'Default' };
+    const tx = db.transaction(['profiles', 'data'], 'readwrite');
+    tx.objectStore('profiles').put(profile);
+    tx.objectStore('data').put(data, profile.id);
+    await idbDone(tx);
+    // The blob now lives in IndexedDB; dropping it frees the localStorage quota
+    localStorage.removeItem(STORAGE_KEY);
+    profiles = [profile];
+  }
+  const saved = localStorage.getItem(ACTIVE_PROFILE_KEY);
+  currentProfileId = profiles.some(p => p.id === saved) ? saved : profiles[0].id;
+  return loadProfileData(currentProfileId);
 }
 
 function saveData(data) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+  if (storageLocked || !storageReady) return;
+  if (!db) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    return;
+  }
+  // put() clones data right away, so later edits don't leak into this write
+  idbPut('data', data, currentProfileId).catch(err => alert(t('Saving failed: {error}', { error: err.message })));
+}
+
+let state = emptyData();
+
+// ---------- History (undo/redo) ----------
+// Every change goes through commitState, which keeps the state as it was before the change.
+// History lives in memory only (nothing extra in localStorage) and is capped by entries and size.
+const HISTORY_MAX_ENTRIES = 50;
+const HISTORY_MAX_CHARS = 5_000_000; // ~10 MB of UTF-16, well under typical browser limits
+const HISTORY_COALESCE_MS = 1000; // repeated edits of the same kind merge into one undo step
+let undoStack = []; // [{ label, json, at }] oldest first
+let redoStack = [];
+let savedJson = JSON.stringify(state);
+
+function trimHistory() {
+  let chars = undoStack.reduce((s, e) => s + e.json.length, 0);
+  while (undoStack.length > HISTORY_MAX_ENTRIES || (undoStack.length > 1 && chars > HISTORY_MAX_CHARS)) {
+    chars -= undoStack.shift().json.length;
+  }
+}
+
+// Saves state and records an undo step. With undoToast, offers an "Undo" button for a few seconds.
+function commitState(label, { undoToast = false } = {}) {
+  const json = JSON.stringify(state);
+  if (json === savedJson) return;
+  const last = undoStack[undoStack.length - 1];
+  const now = Date.now();
+  if (last && !undoToast && last.label === label && now - last.at < HISTORY_COALESCE_MS) last.at = now;
+  else undoStack.push({ label, json: savedJson, at: now });
+  redoStack = [];
+  trimHistory();
+  const base = savedJson;
+  savedJson = json;
+  saveData(state);
+  announceChange(base, json);
+  if (!syncRunning) scheduleSync();
+  if (undoToast) showToast(t(label), true);
+}
+
+function restoreHistory(from, to, verb) {
+  const entry = from.pop();
+  if (!entry) return;
+  to.push({ label: entry.label, json: savedJson, at: 0 });
+  const base = savedJson;
+  state = JSON.parse(entry.json);
+  savedJson = entry.json;
+  saveData(state);
+  announceChange(base, savedJson);
+  // Composers may point at records the restored state no longer has
+  if (currentMealId && !getMeal(currentMealId)) newMeal();
+  if (currentDayId && !state.days.some(d => d.id === currentDayId)) newDay();
+  renderAll();
+  showToast(t(verb, { label: t(entry.label) }), false);
+}
+
+function undo() { restoreHistory(undoStack, redoStack, 'Undone: {label}'); }
+function redo() { restoreHistory(redoStack, undoStack, 'Redone: {label}'); }
+
+const elToast = document.getElementById('toast');
+const elToastText = document.getElementById('toast-text');
+const elToastUndo = document.getElementById('btn-toast-undo');
+let toastTimer = null;
+function showToast(text, withUndo) {
+  elToastText.textContent = text;
+  elToastUndo.classList.toggle('hidden', !withUndo);
+  elToast.classList.remove('hidden');
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => elToast.classList.add('hidden'), withUndo ? 8000 : 3000);
+}
+elToastUndo.addEventListener('click', () => { elToast.classList.add('hidden'); undo(); });
+
+// Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y); text fields keep their own native undo
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const key = e.key.toLowerCase();
+  if (key !== 'z' && key !== 'y') return;
+  const t = e.target;
+  if (t && (t.isContentEditable || (t.tagName === 'INPUT' && !['checkbox', 'radio', 'button'].includes(t.type)) || t.tagName === 'TEXTAREA')) return;
+  e.preventDefault();
+  if (key === 'y' || e.shiftKey) redo(); else undo();
+});
+
+// ---------- Snapshots (automatic local backups) ----------
+// Copies of the active profile's data in the 'meta' store, keyed SNAPSHOT_KEY_PREFIX + '<profile id>:<ISO time>'.
+// A daily one is taken on start and checked hourly, skipped when nothing changed since the last one; others are
+// taken right before reset, imports, demo data, restores and deleting the profile, or on demand. A deleted
+// profile's snapshots are kept for SNAPSHOT_KEEP_DELETED_DAYS so it can be restored. Needs IndexedDB.
+const SNAPSHOT_KEY_PREFIX = 'foodsiesSnapshot:';
+const SNAPSHOT_CHECK_MS = 60 * 60 * 1000;
+const SNAPSHOT_KEEP_DAILY = 7; // days with a daily snapshot
+const SNAPSHOT_KEEP_WEEKLY = 8; // weeks with a daily snapshot; the latest of each week is kept
+const SNAPSHOT_KEEP_OTHER = 10; // before-action and on-demand snapshots
+const SNAPSHOT_KEEP_DELETED_DAYS = 30; // after the last snapshot of a deleted profile
+let snapshotTimer = null;
+let snapshotError = null; // the last failure, shown above the snapshot list until a snapshot succeeds
+
+function snapshotRange(profileId) {
+  const prefix = `${SNAPSHOT_KEY_PREFIX}${profileId}:`;
+  return IDBKeyRange.bound(prefix, prefix + '\uffff');
+}
+
+// Newest first: [{ key, profileId, profileName, at, kind: 'daily'|'before'|'manual', reason, counts, data }]
+async function listSnapshots(profileId = currentProfileId) {
+  if (!db) return [];
+  const all = await idbRequest(db.transaction('meta').objectStore('meta').getAll(snapshotRange(profileId)));
+  return all.sort((a, b) => b.at.localeCompare(a.at));
+}
+
+// Snapshots of profiles that were deleted, newest first, grouped as Map(profile id -> snapshots)
+async function listDeletedProfileSnapshots() {
+  if (!db) return new Map();
+  const all = await idbRequest(db.transaction('meta').objectStore('meta').getAll(IDBKeyRange.bound(SNAPSHOT_KEY_PREFIX, SNAPSHOT_KEY_PREFIX + '\uffff')));
+  const groups = new Map();
+  all.sort((a, b) => b.at.localeCompare(a.at)).forEach(s => {
+    // Snapshots from before profileId was stored carry it only in the key
+    const profileId = s.profileId ?? s.key.slice(SNAPSHOT_KEY_PREFIX.length, s.key.length - s.at.length - 1);
+    if (profiles.some(p => p.id === profileId)) return;
+    if (!groups.has(profileId)) groups.set(profileId, []);
+    groups.get(profileId).push({ ...s, profileId });
+  });
+  return groups;
+}
+
+function weekOf(isoDate) {
+  const [y, m, d] = isoDate.split('-').map(Number);
+  return shiftISODate(isoDate, -((new Date(y, m - 1, d).getDay() + 6) % 7)); // the Monday
+}
+
+// Keys of the snapshots past the retention limits
+function snapshotsToPrune(snapshots) {
+  const days = new Set(), weeks = new Set();
+  let others = 0;
+  return snapshots.filter(s => {
+    if (s.kind !== 'daily') return ++others > SNAPSHOT_KEEP_OTHER;
+    const day = toISODate(new Date(s.at));
+    const week = weekOf(day);
+    let keep = false;
+    if (!days.has(day) && days.size < SNAPSHOT_KEEP_DAILY) { days.add(day); keep = true; }
+    if (!weeks.has(week) && weeks.size < SNAPSHOT_KEEP_WEEKLY) { weeks.add(week); keep = true; }
+    return !keep;
+  }).map(s => s.key);
+}
+
+function hasRecords(data) {
+  return ['ingredients', 'meals', 'days', 'diary'].some(c => data[c].length);
+}
+
+// Stores a copy of state as it is right now; resolves once the copy is saved and old ones are pruned
+async function takeSnapshot(kind, reason) {
+  if (!db || storageLocked || !storageReady || !hasRecords(state)) return;
+  const profileId = currentProfileId;
+  const at = new Date().toISOString();
+  const key = `${SNAPSHOT_KEY_PREFIX}${profileId}:${at}`;
+  const counts = { ingredients: state.ingredients.length, meals: state.meals.length, days: state.days.length, diary: state.diary.length };
+  try {
+    // put() clones state right away, so the change about to be made doesn't end up in the copy
+    const profileName = profiles.find(p => p.id === profileId)?.name;
+    await idbPut('meta', { key, profileId, profileName, at, kind, reason, counts, data: state }, key);
+    const stale = snapshotsToPrune(await listSnapshots(profileId));
+    if (stale.length) {
+      const tx = db.transaction('meta', 'readwrite');
+      stale.forEach(k => tx.objectStore('meta').delete(k));
+      await idbDone(tx);
+    }
+    snapshotError = null;
+  } catch (err) {
+    snapshotError = t('Taking a snapshot failed: {error}', { error: err.message });
+  }
+  renderSnapshots();
+}
+
+async function takeDailySnapshot() {
+  if (!db || storageLocked || !storageReady) return;
+  try {
+    const latest = (await listSnapshots()).find(s => s.kind === 'daily');
+    if (latest && toISODate(new Date(latest.at)) === toISODate(new Date())) return;
+    await pruneDeletedProfileSnapshots();
+    if (latest && JSON.stringify(latest.data) === savedJson) return;
+  } catch (err) {
+    snapshotError = t("Checking for today's snapshot failed: {error}", { error: err.message });
+    renderSnapshots();
+    return;
+  }
+  await takeSnapshot('daily', 'Daily');
+}
+
+function scheduleSnapshots() {
+  clearInterval(snapshotTimer);
+  takeDailySnapshot();
+  snapshotTimer = setInterval(takeDailySnapshot, SNAPSHOT_CHECK_MS);
+}
+
+async function pruneDeletedProfileSnapshots() {
+  const cutoff = new Date(Date.now() - SNAPSHOT_KEEP_DELETED_DAYS * 86400000).toISOString();
+  for (const [profileId, snapshots] of await listDeletedProfileSnapshots()) {
+    if (snapshots[0].at < cutoff) await deleteSnapshots(profileId);
+  }
+}
+
+async function deleteSnapshots(profileId) {
+  const tx = db.transaction('meta', 'readwrite');
+  tx.objectStore('meta').delete(snapshotRange(profileId));
+  await idbDone(tx);
+}
+
+// ---------- Profiles ----------
+const elProfileSelect = document.getElementById('profile-select');
+
+// Also run by renderAll, so the actions and the title follow the language
+function renderProfiles() {
+  if (!storageReady) return;
+  elProfileSelect.innerHTML = '';
+  [...profiles].sort((a, b) => a.name.localeCompare(b.name)).forEach(p => elProfileSelect.appendChild(new Option(p.name, p.id)));
+  if (db) {
+    const actions = document.createElement('optgroup');
+    actions.label = '──────────';
+    actions.appendChild(new Option(t('New profile…'), 'action:new'));
+    actions.appendChild(new Option(t('Rename profile…'), 'action:rename'));
+    if (profiles.length > 1) actions.appendChild(new Option(t('Delete profile…'), 'action:delete'));
+    elProfileSelect.appendChild(actions);
+  }
+  elProfileSelect.value = currentProfileId;
+  elProfileSelect.disabled = !db;
+  elProfileSelect.title = db ? t('Profile') : t('Profiles need IndexedDB, which this browser does not provide');
+}
+
+// Puts freshly loaded data on screen; the composers start over and undo history is per profile
+function useData(data) {
+  storageLocked = !data;
+  state = data || emptyData();
+  storageReady = true;
+  // Diary entries logged before snapshots existed get frozen at today's values
+  if (snapshotDiary(state.diary)) saveData(state);
+  undoStack = [];
+  redoStack = [];
+  savedJson = JSON.stringify(state);
+  rememberState(savedJson);
+  remoteEdits.clear();
+  newMeal();
+  newDay();
+  renderAll();
+  renderSyncSettings();
+  scheduleSync(0);
+  scheduleSnapshots();
+  renderSnapshots();
+}
+
+async function switchProfile(id) {
+  if (id === currentProfileId) return;
+  // No saves while the other profile loads; if it fails to load, the current one stays active and keeps saving
+  const wasReady = storageReady;
+  storageReady = false;
+  let data;
+  try {
+    data = await loadProfileData(id);
+  } catch (err) {
+    storageReady = wasReady;
+    throw err;
+  }
+  currentProfileId = id;
+  localStorage.setItem(ACTIVE_PROFILE_KEY, id);
+  useData(data);
+}
+
+async function createProfile() {
+  const name = prompt(t('Name of the new profile:'))?.trim();
+  if (!name) return;
+  const profile = { id: uid('profile'), name };
+  const tx = db.transaction(['profiles', 'data'], 'readwrite');
+  tx.objectStore('profiles').put(profile);
+  tx.objectStore('data').put(emptyData(), profile.id);
+  await idbDone(tx);
+  profiles.push(profile);
+  announceProfiles();
+  await switchProfile(profile.id);
+}
+
+async function renameProfile() {
+  const profile = profiles.find(p => p.id === currentProfileId);
+  const name = prompt(t('Rename profile:'), profile.name)?.trim();
+  if (!name) return;
+  profile.name = name;
+  await idbPut('profiles', profile);
+  announceProfiles();
+}
+
+async function deleteProfile() {
+  const profile = profiles.find(p => p.id === currentProfileId);
+  if (profiles.length < 2) return;
+  if (!confirm(t('Delete the profile "{name}" with all its ingredients, meals, days and diary? This cannot be undone.', { name: profile.name }))) return;
+  // Settings → Snapshots can bring it back for a while
+  await takeSnapshot('before', 'Before deleting the profile');
+  // Move to another profile first, so nothing is deleted (or saved under the deleted id) unless one loads
+  const others = profiles.filter(p => p.id !== profile.id);
+  let loadError = null;
+  for (const next of others) {
+    try {
+      await switchProfile(next.id);
+      break;
+    } catch (err) {
+      loadError = err;
+    }
+  }
+  if (currentProfileId === profile.id) throw loadError;
+  const tx = db.transaction(['profiles', 'data'], 'readwrite');
+  tx.objectStore('profiles').delete(profile.id);
+  tx.objectStore('data').delete(profile.id);
+  await idbDone(tx);
+  profiles = others;
+  announceProfiles();
+  renderSnapshots();
+}
+
+elProfileSelect.addEventListener('change', async () => {
+  const value = elProfileSelect.value;
+  elProfileSelect.value = currentProfileId;
+  try {
+    if (value === 'action:new') await createProfile();
+    else if (value === 'action:rename') await renameProfile();
+    else if (value === 'action:delete') await deleteProfile();
+    else await switchProfile(value);
+  } catch (err) {
+    alert(t('Profile change failed: {error}', { error: err.message }));
+  }
+  renderProfiles();
+});
+
+// ---------- Other tabs ----------
+// Each save is announced to other tabs with a hash of the state it was built on. A tab whose
+// saved state matches that base takes the new data as is; otherwise both tabs saved at the same
+// moment and the two versions are merged record by record.
+// Messages go over a BroadcastChannel; browsers without one fall back to the storage event,
+// which only works for the localStorage backend and cannot tell what the writer started from.
+const TAB_ID = uid('tab');
+const tabChannel = window.BroadcastChannel ? new BroadcastChannel('foodsies') : null;
+const RECENT_STATES_MAX = 10;
+const recentStates = new Map(); // hash -> json of states this tab saved or received, oldest first
+const remoteEdits = new Map(); // record id -> name, for records another tab changed after they were opened here
+
+function hashString(s) {
+  let h = 2166136261;
+  for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 16777619);
+  return (h >>> 0).toString(36) + ':' + s.length;
+}
+
+function rememberState(json) {
+  const hash = hashString(json);
+  recentStates.delete(hash);
+  recentStates.set(hash, json);
+  while (recentStates.size > RECENT_STATES_MAX) recentStates.delete(recentStates.keys().next().value);
+  return hash;
+}
+
+function announceChange(baseJson, json) {
+  rememberState(json);
+  tabChannel?.postMessage({ type: 'data', from: TAB_ID, profileId: currentProfileId, base: hashString(baseJson), json });
+}
+
+function announceProfiles() {
+  tabChannel?.postMessage({ type: 'profiles', from: TAB_ID });
+}
+
+// Records keyed like "ingredients:<id>"; settings and shopping count as one record each
+function dataRecords(data) {
+  const out = new Map();
+  ['ingredients', 'meals', 'days', 'diary'].forEach(coll => (data[coll] || []).forEach(r => out.set(`${coll}:${r.id}`, r)));
+  out.set('settings', data.settings);
+  out.set('shopping', data.shopping);
+  return out;
+}
+
+function recordLabel(key, r) {
+  if (key === 'settings') return t('Goals');
+  if (key === 'shopping') return t('Shopping list');
+  const kind = { ingredients: 'Ingredient', meals: 'Meal', days: 'Day plan', diary: 'Diary' }[key.split(':')[0]];
+  return `${t(kind)} "${r.name || r.date}"`;
+}
+
+// Three-way merge; for records both sides changed, keepMine decides (called with their names)
+function mergeTabStates(base, mine, theirs, keepMine) {
+  const b = dataRecords(base), m = dataRecords(mine), t = dataRecords(theirs);
+  const pick = new Map(), conflicts = [];
+  new Set([...m.keys(), ...t.keys()]).forEach(key => {
+    const bj = JSON.stringify(b.get(key)), mj = JSON.stringify(m.get(key)), tj = JSON.stringify(t.get(key));
+    if (mj === tj || mj === bj) pick.set(key, t.get(key));
+    else if (tj === bj) pick.set(key, m.get(key));
+    else conflicts.push(key);
+  });
+  const mineWins = conflicts.length ? keepMine(conflicts.map(k => recordLabel(k, m.get(k) || t.get(k)))) : true;
+  conflicts.forEach(key => pick.set(key, mineWins ? m.get(key) : t.get(key)));
+  const merged = { ...theirs, settings: pick.get('settings'), shopping: pick.get('shopping') };
+  ['ingredients', 'meals', 'days', 'diary'].forEach(coll => {
+    // Their order first, then records only this tab has
+    const ids = [...(theirs[coll] || []), ...(mine[coll] || [])].map(r => r.id);
+    merged[coll] = [...new Set(ids)].map(id => pick.get(`${coll}:${id}`)).filter(Boolean);
+  });
+  return merged;
+}
+
+function adoptRemoteState(theirs, json) {
+  const before = dataRecords(state);
+  dataRecords(theirs).forEach((r, key) => {
+    if (JSON.stringify(before.get(key)) !== JSON.stringify(r) && r?.id) remoteEdits.set(r.id, r.name || r.date);
+  });
+  state = theirs;
+  savedJson = json;
+  rememberState(json);
+  // Undo steps from before would quietly revert the other tab's work
+  undoStack = [];
+  redoStack = [];
+  renderAll();
+  showToast(t('Updated with changes from another tab'), false);
+}
+
+function onRemoteData(base, json, from = '') {
+  if (!storageReady || storageLocked || json === savedJson) return;
+  const theirs = JSON.parse(json);
+  if (base === hashString(savedJson)) { adoptRemoteState(theirs, json); return; }
+  // Both tabs saved at once and each sees the other's save; only one of them merges; the other
+  // then receives the merge, built on its own save, and takes it as is
+  if (from > TAB_ID) return;
+  const baseJson = recentStates.get(base);
+  if (!baseJson) {
+    adoptRemoteState(theirs, json);
+    alert(t('Another tab saved at the same time as this one. Its version was loaded; check your last change here.'));
+    return;
+  }
+  const merged = mergeTabStates(JSON.parse(baseJson), state, theirs, names => confirm(
+    t("These were changed in this tab and in another tab at the same time:\n{names}\n\nOK keeps this tab's version, Cancel takes the other tab's.", { names: names.join('\n') })));
+  adoptRemoteState(theirs, json);
+  state = merged;
+  commitState('Merge changes from another tab');
+  renderAll();
+}
+
+// Saving an editor whose record another tab changed meanwhile would silently revert that change
+function confirmRemoteOverwrite(id) {
+  if (!id || !remoteEdits.has(id)) return true;
+  if (!confirm(t('"{name}" was changed in another tab while you were editing it here. Save your version over it?', { name: remoteEdits.get(id) }))) return false;
+  remoteEdits.delete(id);
+  return true;
+}
+
+async function onRemoteProfiles() {
+  profiles = await idbRequest(db.transaction('profiles').objectStore('profiles').getAll());
+  if (!profiles.some(p => p.id === currentProfileId)) await switchProfile(profiles[0].id);
+  renderProfiles();
+}
+
+tabChannel?.addEventListener('message', (e) => {
+  const msg = e.data;
+  if (!msg || msg.from === TAB_ID) return;
+  if (msg.type === 'profiles' && db) onRemoteProfiles().catch(err => alert(t('Updating the profile list failed: {error}', { error: err.message })));
+  else if (msg.type === 'data' && msg.profileId === currentProfileId) onRemoteData(msg.base, msg.json, msg.from);
+});
+
+window.addEventListener('storage', (e) => {
+  if (tabChannel || db || e.key !== STORAGE_KEY || !e.newValue) return;
+  onRemoteData(hashString(e.oldValue || ''), e.newValue);
+});
+
+// ---------- Sync (optional, self-hosted server) ----------
+// Pushes and pulls single records (see dataRecords) to a server like server/sync-server.js.
+// Per profile we keep the server revision and, for every record, the revision and hash it had
+// when last synced. A record whose hash no longer matches has local changes; that is also the
+// offline queue: while the server is unreachable nothing is lost, and everything changed since
+// the last sync goes up on the next successful one.
+const SYNC_KEY_PREFIX = 'foodsiesSync:v1:'; // + profile id
+const SYNC_INTERVAL_MS = 60_000;
+const SYNC_DEBOUNCE_MS = 2000;
+const elSyncStatus = document.getElementById('sync-status');
+const elSyncUrl = document.getElementById('sync-url');
+const elSyncToken = document.getElementById('sync-token');
+let syncStatus = 'off'; // off | syncing | ok | offline | error
+let syncError = '';
+let syncRunning = false;
+let syncTimer = null;
+
+function defaultSyncState() {
+  return { url: '', token: '', lastRev: 0, known: {}, lastSyncAt: null };
+}
+
+function loadSyncState() {
+  try {
+    return { ...defaultSyncState(), ...JSON.parse(localStorage.getItem(SYNC_KEY_PREFIX + currentProfileId) || '{}') };
+  } catch {
+    return defaultSyncState();
+  }
+}
+
+function saveSyncState(sync) {
+  localStorage.setItem(SYNC_KEY_PREFIX + currentProfileId, JSON.stringify(sync));
+}
+
+function knownEntry(rev, value) {
+  return value === undefined ? { rev, deleted: true } : { rev, hash: hashString(JSON.stringify(value)) };
+}
+
+// Puts one record (undefined deletes it) into data, the counterpart of dataRecords
+function setRecord(data, key, value) {
+  if (key === 'settings' || key === 'shopping') {
+    data[key] = value ?? (key === 'settings' ? defaultSettings() : defaultShopping());
+    return;
+  }
+  const [coll, id] = [key.slice(0, key.indexOf(':')), key.slice(key.indexOf(':') + 1)];
+  if (!Array.isArray(data[coll])) return;
+  const idx = data[coll].findIndex(r => r.id === id);
+  if (value === undefined) { if (idx !== -1) data[coll].splice(idx, 1); }
+  else if (idx === -1) data[coll].push(value);
+  else data[coll][idx] = value;
+}
+
+function pendingSyncKeys(sync) {
+  const current = dataRecords(state);
+  const pending = new Set();
+  const untouched = { settings: JSON.stringify(defaultSettings()), shopping: JSON.stringify(defaultShopping()) };
+  current.forEach((r, key) => {
+    const json = JSON.stringify(r);
+    // A fresh profile's defaults shouldn't fight the server's settings on the first sync
+    if (!sync.known[key] && untouched[key] === json) return;
+    if (sync.known[key]?.hash !== hashString(json)) pending.add(key);
+  });
+  Object.keys(sync.known).forEach(key => { if (!current.has(key) && !sync.known[key].deleted) pending.add(key); });
+  return pending;
 }
 
-let state = loadData();
+async function syncFetch(sync, method, query = '', body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (sync.token) headers.Authorization = `Bearer ${sync.token}`;
+  const res = await fetch(`${sync.url.replace(/\/+$/, '')}/changes${query}`, { method, headers, body: body && JSON.stringify(body) });
+  const out = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(out.error || `Server answered ${res.status}`);
+  return out;
+}
+
+function setSyncStatus(status, error = '') {
+  syncStatus = status;
+  syncError = error;
+  renderSyncStatus();
+}
+
+function renderSyncStatus() {
+  const sync = loadSyncState();
+  elSyncStatus.classList.toggle('hidden', !sync.url);
+  if (!sync.url) return;
+  const last = sync.lastSyncAt ? new Date(sync.lastSyncAt).toLocaleString(appLocale()) : t('never');
+  const pending = storageReady ? pendingSyncKeys(sync).size : 0;
+  const text = {
+    syncing: t('⟳ Syncing…'),
+    ok: t('✓ Synced {time}', { time: sync.lastSyncAt ? new Date(sync.lastSyncAt).toLocaleTimeString(appLocale(), { hour: '2-digit', minute: '2-digit' }) : '' }),
+    offline: t('⚠ Offline') + (pending ? ` · ${t('{count} pending', { count: pending })}` : ''),
+    error: t('⚠ Sync failed'),
+    off: t('⟳ Not synced yet'),
+  }[syncStatus];
+  elSyncStatus.textContent = text;
+  elSyncStatus.title = [sync.url, t('Last sync: {time}', { time: last }), pending ? t('{count} change(s) waiting to be sent', { count: pending }) : '', syncError,
+    t('Click to sync now')].filter(Boolean).join('\n');
+}
+
+function scheduleSync(delay = SYNC_DEBOUNCE_MS) {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => syncNow(), delay);
+}
+
+// One pull-then-push round; a push that loses a race is retried once after pulling again
+async function syncNow(round = 0) {
+  const sync = loadSyncState();
+  if (!sync.url || syncRunning || !storageReady || storageLocked) return;
+  const profileId = currentProfileId;
+  syncRunning = true;
+  setSyncStatus('syncing');
+  let again = false;
+  try {
+    const remote = await syncFetch(sync, 'GET', `?since=${sync.lastRev}`);
+    if (profileId !== currentProfileId) return;
+    const data = JSON.parse(savedJson);
+    const local = dataRecords(data);
+    const pending = pendingSyncKeys(sync);
+    const conflicts = [];
+    Object.entries(remote.records || {}).forEach(([key, r]) => {
+      if (sync.known[key]?.rev === r.rev) return; // our own push coming back
+      const value = r.deleted ? undefined : r.value;
+      if (pending.has(key) && JSON.stringify(local.get(key)) !== JSON.stringify(value)) { conflicts.push([key, r]); return; }
+      setRecord(data, key, value);
+      sync.known[key] = knownEntry(r.rev, value);
+      pending.delete(key);
+    });
+    if (conflicts.length) {
+      const keepMine = confirm(t("These were changed on this device and on the sync server since the last sync:\n{names}\n\nOK keeps this device's version, Cancel takes the server's.",
+        { names: conflicts.map(([key, r]) => recordLabel(key, local.get(key) || r.value || {})).join('\n') }));
+      conflicts.forEach(([key, r]) => {
+        if (keepMine) { sync.known[key] = { ...sync.known[key], rev: r.rev }; return; } // pushed over it below
+        const value = r.deleted ? undefined : r.value;
+        setRecord(data, key, value);
+        sync.known[key] = knownEntry(r.rev, value);
+        pending.delete(key);
+      });
+    }
+    sync.lastRev = remote.rev;
+    if (JSON.stringify(data) !== savedJson) {
+      state = data;
+      commitState('Sync with server');
+      renderAll();
+    }
+    saveSyncState(sync);
+
+    const current = dataRecords(state);
+    const changes = [...pending].map(key => current.has(key)
+      ? { key, baseRev: sync.known[key]?.rev || 0, value: current.get(key) }
+      : { key, baseRev: sync.known[key]?.rev || 0, deleted: true });
+    if (changes.length) {
+      const result = await syncFetch(sync, 'POST', '', { changes });
+      if (profileId !== currentProfileId) return;
+      result.applied.forEach(({ key, rev }) => {
+        const change = changes.find(c => c.key === key);
+        sync.known[key] = knownEntry(rev, change.deleted ? undefined : change.value);
+      });
+      again = result.conflicts.length > 0 && round < 1;
+    }
+    sync.lastSyncAt = new Date().toISOString();
+    saveSyncState(sync);
+    setSyncStatus('ok');
+  } catch (err) {
+    // fetch rejects with a TypeError when the server can't be reached at all
+    setSyncStatus(err instanceof TypeError ? 'offline' : 'error', err.message);
+  } finally {
+    syncRunning = false;
+  }
+  if (again) await syncNow(round + 1);
+}
+
+function renderSyncSettings() {
+  const sync = loadSyncState();
+  elSyncUrl.value = sync.url;
+  elSyncToken.value = sync.token;
+  syncStatus = 'off';
+  syncError = '';
+  renderSyncStatus();
+}
+
+document.getElementById('btn-sync-save').addEventListener('click', () => {
+  const url = elSyncUrl.value.trim();
+  if (url && !/^https?:\/\//i.test(url)) { alert(t('The server URL must start with http:// or https://')); return; }
+  const sync = loadSyncState();
+  // Another server knows nothing of what we synced before
+  const next = url === sync.url ? { ...sync, token: elSyncToken.value.trim() } : { ...defaultSyncState(), url, token: elSyncToken.value.trim() };
+  saveSyncState(next);
+  renderSyncSettings();
+  syncNow();
+});
+document.getElementById('btn-sync-now').addEventListener('click', () => syncNow());
+document.getElementById('btn-sync-off').addEventListener('click', () => {
+  localStorage.removeItem(SYNC_KEY_PREFIX + currentProfileId);
+  renderSyncSettings();
+});
+elSyncStatus.addEventListener('click', () => syncNow());
+window.addEventListener('online', () => syncNow());
+setInterval(() => syncNow(), SYNC_INTERVAL_MS);
 
 // ---------- Theme (dark/light) ----------
 function detectPreferredTheme() {
@@ -77,122 +844,827 @@ function setActiveTab(hash) {
   document.querySelectorAll('.view').forEach(v => v.classList.add('hidden'));
   document.getElementById(`tab-${tab}`)?.classList.add('active');
   document.getElementById(`view-${tab}`)?.classList.remove('hidden');
+  if (tab === 'stats') renderStatsView();
 }
 
 window.addEventListener('hashchange', () => setActiveTab(location.hash));
 
+// ---------- Language, locale and currency ----------
+// Settings → Language & region, per profile. The locale drives how money is formatted and how typed
+// decimals are read ("3,49" or "3.49"); the currency is only a display choice, amounts are not converted.
+// UI text is written in English and looked up in I18N for other languages; anything missing stays English.
+const LANGUAGES = { en: 'English', pt: 'Português' };
+const LOCALES = ['en-GB', 'en-US', 'pt-PT', 'pt-BR', 'de-DE', 'de-CH', 'fr-FR', 'fr-CH', 'es-ES', 'it-IT', 'nl-NL'];
+const CURRENCIES = ['EUR', 'GBP', 'CHF', 'USD', 'BRL'];
+const I18N = {
+  pt: {
+    'Foodsies — Quick Nutrition Reference': 'Foodsies — Referência Rápida de Nutrição',
+    'Ingredients': 'Ingredientes', 'Meals': 'Refeições', 'Diary': 'Diário', 'Days': 'Dias', 'Shopping': 'Compras', 'Stats': 'Estatísticas', 'Settings': 'Definições',
+    'Backup / Restore': 'Cópia de segurança / Restauro', 'Profile': 'Perfil', 'New profile…': 'Novo perfil…', 'Rename profile…': 'Mudar o nome do perfil…', 'Delete profile…': 'Apagar perfil…',
+    'Profiles need IndexedDB, which this browser does not provide': 'Os perfis precisam de IndexedDB, que este navegador não tem', 'Commands and quick add (Ctrl+K)': 'Comandos e adição rápida (Ctrl+K)', 'Toggle theme': 'Mudar tema',
+    'Search name, brand, tag...': 'Pesquisar nome, marca, etiqueta...', 'Category': 'Categoria', 'Tag': 'Etiqueta', 'Brand / store': 'Marca / loja', 'Sort by': 'Ordenar por',
+    'Sort: name': 'Ordenar: nome', 'Sort: protein per 100g': 'Ordenar: proteína por 100g', 'Sort: kcal per 100g, low first': 'Ordenar: kcal por 100g, menor primeiro',
+    'Sort: kcal per 100g, high first': 'Ordenar: kcal por 100g, maior primeiro', 'Sort: price per kg, low first': 'Ordenar: preço por kg, menor primeiro', 'Sort: protein per kcal': 'Ordenar: proteína por kcal',
+    'All categories': 'Todas as categorias', 'All tags': 'Todas as etiquetas', 'All brands': 'Todas as marcas',
+    'CSV or Open Food Facts export': 'CSV ou exportação do Open Food Facts', 'Import…': 'Importar…', 'Add Ingredient': 'Adicionar Ingrediente',
+    'Name': 'Nome', 'e.g., Oats': 'ex.: Aveia', 'Brand (optional)': 'Marca (opcional)', 'e.g., Lidl': 'ex.: Lidl', 'Barcode (optional)': 'Código de barras (opcional)', 'e.g., 5601234567890': 'ex.: 5601234567890',
+    'Calories per 100g': 'Calorias por 100g', 'Protein per 100g (g)': 'Proteína por 100g (g)', 'Optional macros (leave empty if unknown)': 'Macros opcionais (deixe vazio se desconhecido)',
+    'Carbs per 100g (g)': 'Hidratos por 100g (g)', 'Fat per 100g (g)': 'Gordura por 100g (g)', 'Saturated fat per 100g (g)': 'Gordura saturada por 100g (g)', 'Fiber per 100g (g)': 'Fibra por 100g (g)',
+    'Sugar per 100g (g)': 'Açúcar por 100g (g)', 'Salt per 100g (g)': 'Sal por 100g (g)', 'Price per kg': 'Preço por kg', 'e.g., 3.49': 'ex.: 3,49', 'Store (optional)': 'Loja (opcional)', 'Price date': 'Data do preço',
+    'Price history (the latest price is the current one; empty the price field for no current price)': 'Histórico de preços (o mais recente é o atual; esvazie o campo do preço para ficar sem preço atual)', 'Package size (g, optional)': 'Tamanho da embalagem (g, opcional)', 'e.g., 500': 'ex.: 500',
+    'Density (g per ml, optional)': 'Densidade (g por ml, opcional)', 'e.g., 1.03 for milk': 'ex.: 1,03 para leite',
+    'Optional portions (e.g., cookie, small egg, large egg); the first one is the default. A density lets meals use ml, l, fl oz and cups.': 'Porções opcionais (ex.: bolacha, ovo pequeno, ovo grande); a primeira é a predefinida. Com densidade, as refeições podem usar ml, l, fl oz e chávenas.',
+    'Add Portion': 'Adicionar Porção', 'Category (optional)': 'Categoria (opcional)', 'e.g., Dairy': 'ex.: Laticínios', 'Tags (comma-separated)': 'Etiquetas (separadas por vírgulas)', 'e.g., snacks, bulk buy': 'ex.: snacks, compra a granel',
+    'Notes (optional)': 'Notas (opcional)', 'Any extra info...': 'Outras informações...', 'Cancel': 'Cancelar', 'Save': 'Guardar', 'portion name': 'nome da porção', 'grams': 'gramas',
+    'Import Ingredients': 'Importar Ingredientes', 'Map file columns to ingredient fields': 'Associar colunas do ficheiro aos campos do ingrediente', 'Row': 'Linha', 'Brand': 'Marca', 'Protein': 'Proteína',
+    'Price/kg': 'Preço/kg', 'Status': 'Estado', 'Import': 'Importar',
+    'Meal name (e.g., Breakfast)': 'Nome da refeição (ex.: Pequeno-almoço)', 'New': 'Novo', 'Save Meal': 'Guardar Refeição', 'Recipe (usable as an ingredient in other meals)': 'Receita (utilizável como ingrediente noutras refeições)',
+    'Cooked weight (g):': 'Peso cozinhado (g):', 'raw weight': 'peso cru', 'Servings:': 'Doses:', 'e.g., 4': 'ex.: 4', 'Meal targets': 'Objetivos da refeição', 'Min': 'Mín', 'Max': 'Máx',
+    'Add Item': 'Adicionar Item', 'Solve amounts for calorie and protein targets': 'Calcular quantidades para os objetivos de calorias e proteína', 'Fit to Goal': 'Ajustar ao Objetivo',
+    'Total Calories:': 'Calorias Totais:', 'Total Protein:': 'Proteína Total:', 'Total Cost:': 'Custo Total:', 'Carbs:': 'Hidratos:', 'Fat:': 'Gordura:', 'Saturated fat:': 'Gordura saturada:',
+    'Fiber:': 'Fibra:', 'Sugar:': 'Açúcar:', 'Salt:': 'Sal:', 'Your Meals': 'As Suas Refeições',
+    'Day name (e.g., High Protein)': 'Nome do dia (ex.: Proteína Alta)', 'Goal profile for this day': 'Perfil de objetivos para este dia', 'Save Day': 'Guardar Dia', 'Add Meal': 'Adicionar Refeição',
+    'Solve servings for calorie and protein targets': 'Calcular doses para os objetivos de calorias e proteína', 'Total': 'Total', 'Goal': 'Objetivo', 'Your Day Plans': 'Os Seus Planos de Dia',
+    'Previous day': 'Dia anterior', 'Next day': 'Dia seguinte', 'Today': 'Hoje', 'Goal profile for this date': 'Perfil de objetivos para esta data', 'Apply': 'Aplicar', 'Log Meal': 'Registar Refeição',
+    'Logged Days': 'Dias Registados', 'Uncheck All': 'Desmarcar Tudo', 'Print': 'Imprimir', 'Export Text': 'Exportar Texto', 'Day plans to shop for (and how many times)': 'Planos de dia para as compras (e quantas vezes)',
+    'Estimated Cost:': 'Custo Estimado:', 'Range': 'Período', 'Last 7 days': 'Últimos 7 dias', 'Last 30 days': 'Últimos 30 dias', 'Last 90 days': 'Últimos 90 dias', 'All logged days': 'Todos os dias registados',
+    'Goal Adherence': 'Cumprimento dos Objetivos', "Share of logged days within each goal of the day's goal profile": 'Percentagem de dias registados dentro de cada objetivo do perfil do dia',
+    'Top Contributors': 'Maiores Contribuidores', 'By': 'Por', 'Calories': 'Calorias', 'Spend': 'Gasto', 'Value for Money': 'Relação Qualidade/Preço', 'Rank by': 'Ordenar por',
+    'Protein per {currency}': 'Proteína por {currency}', 'Calories per {currency}': 'Calorias por {currency}',
+    'Goal Profiles': 'Perfis de Objetivos',
+    'Named sets of daily goals (e.g., Training, Rest, Refeed), picked per day plan and per diary date. Set a min, a max or both; leave both empty for no goal.': 'Conjuntos de objetivos diários com nome (ex.: Treino, Descanso, Recarga), escolhidos por plano de dia e por data do diário. Defina um mínimo, um máximo ou ambos; deixe ambos vazios para não ter objetivo.',
+    'Goal profile': 'Perfil de objetivos', 'Profile name': 'Nome do perfil', 'Default': 'Predefinido', 'Delete': 'Apagar', 'Save Goals': 'Guardar Objetivos',
+    'Units': 'Unidades', 'Show amounts in': 'Mostrar quantidades em', 'Metric (g, ml, l)': 'Métrico (g, ml, l)', 'Imperial (oz, lb, fl oz, cups)': 'Imperial (oz, lb, fl oz, chávenas)',
+    'Language & region': 'Idioma e região', 'Language': 'Idioma', 'Number format': 'Formato dos números', 'Currency': 'Moeda', 'Browser default ({locale})': 'Predefinição do navegador ({locale})',
+    'Costs look like {money}; type decimals like {decimal}.': 'Os custos aparecem como {money}; escreva decimais como {decimal}.',
+    'Archive': 'Arquivo', 'Deleted ingredients and meals are kept here so meals, day plans and the diary that use them keep their values.': 'Os ingredientes e refeições apagados ficam aqui para que as refeições, planos de dia e o diário que os usam mantenham os valores.',
+    'Export Encrypted…': 'Exportar Encriptado…', 'Passphrase': 'Frase-passe', 'Repeat passphrase': 'Repetir frase-passe',
+    'There is no way to open an encrypted file without its passphrase.': 'Não há forma de abrir um ficheiro encriptado sem a sua frase-passe.',
+    'Snapshots': 'Cópias automáticas', 'Take Snapshot Now': 'Fazer Cópia Agora',
+    'A copy of this profile is kept every day you use Foodsies (the last 7 days and one per week for the last 8 weeks) and right before a reset, an import, loading demo data, restoring a snapshot or deleting the profile. A deleted profile can be restored here for 30 days. Snapshots stay in this browser.': 'É guardada uma cópia deste perfil em cada dia em que usa o Foodsies (os últimos 7 dias e uma por semana nas últimas 8 semanas) e imediatamente antes de apagar os dados, importar, carregar dados de exemplo, restaurar uma cópia ou apagar o perfil. Um perfil apagado pode ser restaurado aqui durante 30 dias. As cópias ficam neste navegador.',
+    'Data health': 'Saúde dos dados', 'Check data': 'Verificar dados', 'Fix all': 'Corrigir tudo',
+    "Looks for references to missing records, duplicate ids, empty meals, amounts that can't be converted and implausible nutrition values.": 'Procura referências a registos em falta, ids duplicados, refeições vazias, quantidades que não podem ser convertidas e valores nutricionais implausíveis.',
+    'Sync': 'Sincronização', 'Optional: keep this profile in sync with a self-hosted server (see': 'Opcional: manter este perfil sincronizado com um servidor próprio (ver', '), e.g.': '), ex.:',
+    '. Changes made offline are sent once the server is reachable again.': '. As alterações feitas sem ligação são enviadas quando o servidor voltar a estar acessível.',
+    'Server URL:': 'URL do servidor:', 'Token:': 'Token:', 'optional': 'opcional', 'Save & Sync': 'Guardar e Sincronizar', 'Sync Now': 'Sincronizar Agora', 'Turn Off': 'Desligar',
+    'Backup & Restore': 'Cópia de Segurança e Restauro', 'Export JSON': 'Exportar JSON', 'Import JSON': 'Importar JSON', 'Import Data': 'Importar Dados', 'Merge into my data': 'Juntar aos meus dados',
+    'Replace all my data': 'Substituir todos os meus dados', 'Merge': 'Juntar', 'Load Demo Data': 'Carregar Dados de Exemplo', 'Reset All Data': 'Apagar Todos os Dados',
+    'Data is stored locally in your browser. Export regularly to keep a backup.': 'Os dados ficam guardados no seu navegador. Exporte regularmente para ter uma cópia de segurança.',
+    "Amounts are solved within each row's min/max; locked rows keep their amount. Portions stay whole, servings move in quarters.": 'As quantidades são calculadas dentro do mín/máx de cada linha; as linhas bloqueadas mantêm a quantidade. As porções ficam inteiras e as doses variam em quartos.',
+    'Calories:': 'Calorias:', 'Protein (g):': 'Proteína (g):', 'Prefer:': 'Preferir:', 'Amounts close to now': 'Quantidades próximas das atuais', 'Lowest cost': 'Menor custo',
+    'Item': 'Item', 'Now': 'Agora', 'Lock': 'Bloquear', 'Fitted': 'Ajustado', 'Calculate': 'Calcular', 'Edit': 'Editar', 'Search ingredient...': 'Pesquisar ingrediente...', 'Unit': 'Unidade', 'Amount': 'Quantidade',
+    'Remove': 'Remover', 'Servings': 'Doses', 'Commands and quick add': 'Comandos e adição rápida',
+    'Command or quick add, e.g. "150g oats, 2 cookies, 1 cup yogurt"': 'Comando ou adição rápida, ex.: "150g aveia, 2 bolachas, 1 cup iogurte"',
+    '↑↓ choose • Enter run • Esc close • On Days and Diary, quick add takes meals: "1.5 breakfast, shake"': '↑↓ escolher • Enter executar • Esc fechar • Em Dias e Diário, a adição rápida usa refeições: "1,5 pequeno-almoço, batido"',
+    'Undo': 'Anular', 'A new version of Foodsies is available.': 'Está disponível uma nova versão do Foodsies.', 'Reload': 'Recarregar', 'Later': 'Mais tarde',
+    'New meal': 'Nova refeição', 'New day plan': 'Novo plano de dia', 'Add ingredient': 'Adicionar ingrediente', 'Open today in diary': 'Abrir hoje no diário', 'Go to {name}': 'Ir para {name}',
+    'Redo': 'Refazer', 'e.g., large egg': 'ex.: ovo grande', 'Open meal {name}': 'Abrir refeição {name}', 'Open day {name}': 'Abrir dia {name}', 'No matching command': 'Nenhum comando corresponde',
+    'cheapest {price}': 'mais barato {price}', 'pack {weight}': 'embalagem {weight}', 'cost {money}': 'custo {money}', '{price}/kg': '{price}/kg', '{price}/kg at {store}': '{price}/kg em {store}',
+    '({money} at today\'s prices)': '({money} aos preços de hoje)', '({money} left to buy)': '({money} por comprar)',
+    'Cost when logged {logged} • at today\'s prices {today}{change}': 'Custo quando registado {logged} • aos preços de hoje {today}{change}',
+    '{change} since {date}': '{change} desde {date}',
+    'Add prices to ingredients to rank them.': 'Adicione preços aos ingredientes para os ordenar.', '{value} g protein/{currency}': '{value} g proteína/{currency}', '{value} kcal/{currency}': '{value} kcal/{currency}',
+    '{error}\nChanges made here will not be saved.': '{error}\nAs alterações feitas aqui não serão guardadas.',
+    'Some stored records look invalid:\n{problems}': 'Alguns registos guardados parecem inválidos:\n{problems}', '…and {count} more': '…e mais {count}',
+    'Stored data could not be read and was set aside. Starting with empty data.': 'Não foi possível ler os dados guardados, que foram postos de parte. A começar com dados vazios.',
+    'Saving failed: {error}': 'Falha ao guardar: {error}', 'Name of the new profile:': 'Nome do novo perfil:', 'Rename profile:': 'Novo nome do perfil:',
+    'Delete the profile "{name}" with all its ingredients, meals, days and diary? This cannot be undone.': 'Apagar o perfil "{name}" com todos os ingredientes, refeições, dias e diário? Não é possível anular.',
+    'Profile change failed: {error}': 'Falha ao mudar de perfil: {error}', 'Updating the profile list failed: {error}': 'Falha ao atualizar a lista de perfis: {error}',
+    'Another tab saved at the same time as this one. Its version was loaded; check your last change here.': 'Outro separador guardou ao mesmo tempo que este. A versão dele foi carregada; verifique aqui a sua última alteração.',
+    "These were changed in this tab and in another tab at the same time:\n{names}\n\nOK keeps this tab's version, Cancel takes the other tab's.": 'Isto foi alterado neste separador e noutro ao mesmo tempo:\n{names}\n\nOK mantém a versão deste separador, Cancelar fica com a do outro.',
+    '"{name}" was changed in another tab while you were editing it here. Save your version over it?': '"{name}" foi alterado noutro separador enquanto o editava aqui. Guardar a sua versão por cima?',
+    'never': 'nunca', '⟳ Syncing…': '⟳ A sincronizar…', '✓ Synced {time}': '✓ Sincronizado {time}', '⚠ Offline': '⚠ Sem ligação', '{count} pending': '{count} pendente(s)', '⚠ Sync failed': '⚠ Falha na sincronização',
+    '⟳ Not synced yet': '⟳ Ainda não sincronizado', 'Last sync: {time}': 'Última sincronização: {time}', '{count} change(s) waiting to be sent': '{count} alteração(ões) por enviar', 'Click to sync now': 'Clique para sincronizar agora',
+    "These were changed on this device and on the sync server since the last sync:\n{names}\n\nOK keeps this device's version, Cancel takes the server's.": 'Isto foi alterado neste dispositivo e no servidor de sincronização desde a última sincronização:\n{names}\n\nOK mantém a versão deste dispositivo, Cancelar fica com a do servidor.',
+    'The server URL must start with http:// or https://': 'O URL do servidor tem de começar por http:// ou https://',
+    'Carbs': 'Hidratos', 'Fat': 'Gordura', 'Saturated fat': 'Gordura saturada', 'Fiber': 'Fibra', 'Sugar': 'Açúcar', 'Salt': 'Sal',
+    'protein': 'proteína', 'carbs': 'hidratos', 'fat': 'gordura', 'sat. fat': 'gord. sat.', 'fiber': 'fibra', 'sugar': 'açúcar', 'salt': 'sal',
+    '{kcal} kcal • {protein} g protein • cost {money}': '{kcal} kcal • {protein} g proteína • custo {money}', 'Default goals ({name})': 'Objetivos predefinidos ({name})', 'Default goals': 'Objetivos predefinidos',
+    'min': 'mín', 'max': 'máx', 'No matches': 'Sem resultados',
+    'Undone: {label}': 'Anulado: {label}', 'Redone: {label}': 'Refeito: {label}', 'Updated with changes from another tab': 'Atualizado com alterações de outro separador',
+    'Deleted ingredient "{name}"': 'Ingrediente "{name}" apagado', 'Deleted meal "{name}"': 'Refeição "{name}" apagada', 'Deleted day "{name}"': 'Dia "{name}" apagado', 'Deleted goal profile "{name}"': 'Perfil de objetivos "{name}" apagado',
+    'Save ingredient': 'Guardar ingrediente', 'Save meal': 'Guardar refeição', 'Save day': 'Guardar dia', 'Save goals': 'Guardar objetivos', 'Add goal profile': 'Adicionar perfil de objetivos', 'Edit diary': 'Editar diário',
+    'Import ingredients': 'Importar ingredientes', 'Import data': 'Importar dados', 'Load demo data': 'Carregar dados de exemplo', 'Reset all data': 'Apagar todos os dados', 'Restore snapshot': 'Restaurar cópia',
+    'Restore from archive': 'Restaurar do arquivo', 'Shopping days': 'Dias das compras', 'Check shopping item': 'Marcar artigo das compras', 'Uncheck shopping list': 'Desmarcar lista de compras',
+    'Change units': 'Mudar unidades', 'Change language & region': 'Mudar idioma e região', 'Sync with server': 'Sincronizar com o servidor', 'Merge changes from another tab': 'Juntar alterações de outro separador',
+    'No prices recorded yet.': 'Ainda não há preços registados.', 'Remove this price': 'Remover este preço', 'Remove portion': 'Remover porção', 'Edit Ingredient': 'Editar Ingrediente',
+    'There are two portions named "{name}".': 'Há duas porções chamadas "{name}".', 'Show only "{tag}"': 'Mostrar só "{tag}"', '{kcal} kcal / 100g • {protein} g protein': '{kcal} kcal / 100g • {protein} g proteína',
+    'No rows found in file.': 'O ficheiro não tem linhas.', '{file} • {format} • {count} row(s)': '{file} • {format} • {count} linha(s)', 'Could not read {file}: {error}': 'Não foi possível ler {file}: {error}',
+    'line {line} is not valid JSON': 'a linha {line} não é JSON válido', '"{value}" is not a number': '"{value}" não é um número', 'must not be negative': 'não pode ser negativo', 'name is missing': 'falta o nome',
+    'energy (kcal or kJ) is missing': 'falta a energia (kcal ou kJ)', 'protein is missing': 'falta a proteína', 'already in your ingredients': 'já está nos seus ingredientes',
+    'already in your ingredients (archived)': 'já está nos seus ingredientes (arquivado)', 'repeated in this file': 'repetido neste ficheiro', '(not imported)': '(não importado)', 'Duplicate: {reason}': 'Duplicado: {reason}', 'OK': 'OK',
+    'Barcode': 'Código de barras', 'kcal / 100g': 'kcal / 100g', 'kJ / 100g (if no kcal)': 'kJ / 100g (se não houver kcal)', 'Protein / 100g': 'Proteína / 100g', 'Carbs / 100g': 'Hidratos / 100g', 'Fat / 100g': 'Gordura / 100g',
+    'Sat. fat / 100g': 'Gord. sat. / 100g', 'Fiber / 100g': 'Fibra / 100g', 'Sugar / 100g': 'Açúcar / 100g', 'Salt / 100g': 'Sal / 100g', 'Package (g)': 'Embalagem (g)', 'Notes': 'Notas',
+    '{count} row(s): {included} selected, {duplicates} duplicate(s), {errors} with errors': '{count} linha(s): {included} selecionada(s), {duplicates} duplicada(s), {errors} com erros',
+    '(showing first {count})': '(a mostrar as primeiras {count})', 'Import {count}': 'Importar {count}', 'Imported {count} ingredient(s).': '{count} ingrediente(s) importado(s).',
+    '{name} (archived)': '{name} (arquivado)', 'Select ingredient...': 'Escolher ingrediente...', 'Select meal...': 'Escolher refeição...', 'Recipes': 'Receitas',
+    'Untitled meal': 'Refeição sem nome', 'Untitled day': 'Dia sem nome', '(untitled)': '(sem nome)', 'none set': 'nenhum definido', 'missed: {misses}': 'falhados: {misses}', 'all {count} hit': 'todos os {count} cumpridos',
+    'This meal uses a recipe that already contains this meal (directly or through other recipes). Remove it before saving.': 'Esta refeição usa uma receita que já contém esta refeição (diretamente ou através de outras receitas). Remova-a antes de guardar.',
+    'Recipe • {weight} cooked': 'Receita • {weight} cozinhado', '{servings} servings of {weight}:': '{servings} doses de {weight}:', 'per 100 g:': 'por 100 g:', '{kcal} kcal • {protein} g protein • {money}': '{kcal} kcal • {protein} g proteína • {money}',
+    'Open': 'Abrir', 'Adjust': 'Ajustar', 'Override ingredient amounts for this day': 'Alterar as quantidades dos ingredientes neste dia', 'Meal changed since logged.': 'A refeição mudou desde que foi registada.', 'Update': 'Atualizar',
+    'missed {misses}': 'falhou {misses}', '✓ all {count} goals hit': '✓ todos os {count} objetivos cumpridos',
+    'serving(s)': 'dose(s)', 'Add some items first.': 'Adicione primeiro alguns itens.', 'no limit': 'sem limite', 'Keep this amount': 'Manter esta quantidade',
+    'Set targets and bounds, then Calculate to preview.': 'Defina objetivos e limites e depois Calcular para pré-visualizar.', 'Set a calorie or protein target.': 'Defina um objetivo de calorias ou de proteína.',
+    '{name}: max must be at least min.': '{name}: o máximo tem de ser pelo menos o mínimo.', 'Now: {totals}': 'Agora: {totals}', 'Fitted: {totals}': 'Ajustado: {totals}',
+    "The calorie and protein targets can't be reached within these bounds; this is the closest.": 'Os objetivos de calorias e proteína não podem ser atingidos dentro destes limites; este é o mais próximo.',
+    "The calorie target can't be reached within these bounds; this is the closest.": 'O objetivo de calorias não pode ser atingido dentro destes limites; este é o mais próximo.',
+    "The protein target can't be reached within these bounds; this is the closest.": 'O objetivo de proteína não pode ser atingido dentro destes limites; este é o mais próximo.',
+    'Apply day plan...': 'Aplicar plano de dia...', 'Foodsies shopping list': 'Lista de compras do Foodsies', 'Days: {days}': 'Dias: {days}', 'Other': 'Outros', 'Estimated total: {money}': 'Total estimado: {money}',
+    'No day plans yet. Create some in the Days tab.': 'Ainda não há planos de dia. Crie alguns no separador Dias.', 'Times': 'Vezes', 'Select day plans above to build a list.': 'Escolha planos de dia acima para criar uma lista.',
+    '{chart} per day': '{chart} por dia', '7-day average {value}': 'média de 7 dias {value}', 'Cost': 'Custo', '{hit} of {days} days': '{hit} de {days} dias', 'no goal set': 'sem objetivo', 'All goals': 'Todos os objetivos',
+    'Nothing logged in this range.': 'Nada registado neste período.', 'No diary entries in this range yet. Log meals in the Diary to see trends.': 'Ainda não há registos no diário neste período. Registe refeições no Diário para ver tendências.',
+    '{logged} logged day(s) of {days} • average {kcal} kcal, {protein} g protein, {money} per logged day': '{logged} dia(s) registado(s) de {days} • média de {kcal} kcal, {protein} g proteína, {money} por dia registado',
+    '{name} (recipe)': '{name} (receita)', 'Name what to add': 'Diga o que quer adicionar', 'Nothing matches "{text}"': 'Nada corresponde a "{text}"',
+    "{name} has no density, so it can't be measured in {unit}": '{name} não tem densidade, por isso não pode ser medido em {unit}', 'How many {unit} of {name}?': 'Quantos {unit} de {name}?',
+    'How much {name}? e.g. "100g {text}"': 'Quanto {name}? ex.: "100g {text}"', 'Add 1 item to the meal': 'Adicionar 1 item à refeição', 'Add {count} items to the meal': 'Adicionar {count} itens à refeição',
+    'Add 1 item to the day plan': 'Adicionar 1 item ao plano de dia', 'Add {count} items to the day plan': 'Adicionar {count} itens ao plano de dia', 'Add 1 item to the diary': 'Adicionar 1 item ao diário',
+    'Add {count} items to the diary': 'Adicionar {count} itens ao diário', 'resolve the lines marked ? or ✗ first': 'resolva primeiro as linhas marcadas com ? ou ✗', 'did you mean': 'queria dizer',
+    'Taking a snapshot failed: {error}': 'Falha ao fazer uma cópia: {error}', "Checking for today's snapshot failed: {error}": 'Falha ao verificar a cópia de hoje: {error}',
+    'Ingredient': 'Ingrediente', 'Meal': 'Refeição', 'Day plan': 'Plano de dia', 'Nothing archived.': 'Nada arquivado.', 'archived {date}': 'arquivado a {date}', 'Restore': 'Restaurar',
+    'The file is not valid JSON.': 'O ficheiro não é JSON válido.', 'Encrypted files need the page to be opened over https, from localhost or as a file.': 'Os ficheiros encriptados precisam que a página seja aberta por https, a partir de localhost ou como ficheiro.',
+    'Passphrase for {file}': 'Frase-passe de {file}', 'Wrong passphrase, or the file is damaged.': 'Frase-passe errada, ou o ficheiro está danificado.', 'Failed to import {file}: {error}': 'Falha ao importar {file}: {error}',
+    'All your current ingredients, meals, day plans and diary will be replaced by the file.': 'Todos os seus ingredientes, refeições, planos de dia e diário atuais serão substituídos pelo ficheiro.', 'Replace My Data': 'Substituir os Meus Dados',
+    'Conflicts — both sides have different values': 'Conflitos — os dois lados têm valores diferentes', 'Added': 'Adicionados', 'Changed — fills in fields you left empty': 'Alterados — preenche campos que deixou vazios',
+    'Keep mine': 'Manter o meu', 'Take theirs': 'Ficar com o do ficheiro', 'Nothing new: everything in the file is already here.': 'Nada de novo: tudo o que está no ficheiro já está aqui.', '{count} record(s) identical to yours.': '{count} registo(s) igual(is) aos seus.',
+    'Data imported successfully.': 'Dados importados com sucesso.', 'This will delete all data in this profile. Continue?': 'Isto apaga todos os dados deste perfil. Continuar?',
+    '{ingredients} ingredient(s), {meals} meal(s), {days} day plan(s), {diary} diary day(s)': '{ingredients} ingrediente(s), {meals} refeição(ões), {days} plano(s) de dia, {diary} dia(s) no diário',
+    'Snapshots need IndexedDB, which this browser does not provide.': 'As cópias automáticas precisam de IndexedDB, que este navegador não tem.', 'Snapshots could not be read: {error}': 'Não foi possível ler as cópias: {error}', 'No snapshots yet.': 'Ainda não há cópias.',
+    'Daily': 'Diária', 'Taken by hand': 'Feita manualmente', 'Before reset': 'Antes de apagar os dados', 'Before loading demo data': 'Antes de carregar os dados de exemplo', 'Before restoring a snapshot': 'Antes de restaurar uma cópia',
+    'Before replacing with an import': 'Antes de substituir por uma importação', 'Before merging an import': 'Antes de juntar uma importação', 'Before deleting the profile': 'Antes de apagar o perfil',
+    'Deleted profiles (kept for {days} days)': 'Perfis apagados (guardados durante {days} dias)', 'Deleted profile': 'Perfil apagado', 'Restored profile': 'Perfil restaurado',
+    'Restore the deleted profile "{name}" as it was on {when} ({counts})?': 'Restaurar o perfil apagado "{name}" tal como estava em {when} ({counts})?', 'Restoring the profile failed: {error}': 'Falha ao restaurar o perfil: {error}',
+    'Replace all data in this profile with the snapshot from {when} ({counts})? The current data is kept as a snapshot first.': 'Substituir todos os dados deste perfil pela cópia de {when} ({counts})? Os dados atuais são guardados primeiro numa cópia.',
+    'There is nothing to keep yet.': 'Ainda não há nada para guardar.', 'The file is encrypted in a format this version of Foodsies does not know.': 'O ficheiro está encriptado num formato que esta versão do Foodsies não conhece.',
+    "The file's key settings are out of range ({iterations} PBKDF2 iterations; expected {min}–{max}).": 'As definições da chave do ficheiro estão fora dos limites ({iterations} iterações PBKDF2; esperado {min}–{max}).',
+    'Enter a passphrase.': 'Introduza uma frase-passe.', "The passphrases don't match.": 'As frases-passe não coincidem.', 'Encryption needs the page to be opened over https, from localhost or as a file.': 'A encriptação precisa que a página seja aberta por https, a partir de localhost ou como ficheiro.',
+    'Export Encrypted': 'Exportar Encriptado', 'Export failed: {error}': 'Falha ao exportar: {error}',
+    "This snapshot can't be restored: {error}": 'Esta cópia não pode ser restaurada: {error}', '{name} (default)': '{name} (predefinido)',
+    'Name of the goal profile (e.g., Training, Rest, Refeed):': 'Nome do perfil de objetivos (ex.: Treino, Descanso, Recarga):', 'Keep at least one goal profile.': 'Mantenha pelo menos um perfil de objetivos.',
+    '{name}: min is above max.': '{name}: o mínimo está acima do máximo.', 'Could not open stored data: {error}\nChanges made here will not be saved.': 'Não foi possível abrir os dados guardados: {error}\nAs alterações feitas aqui não serão guardadas.',
+    'Goals': 'Objetivos', 'Shopping list': 'Lista de compras',
+    'Error': 'Erro', 'Worth checking': 'A verificar', 'No problems found.': 'Nenhum problema encontrado.', 'Fixed: {problem}': 'Corrigido: {problem}', 'Fixed {count} data problem(s)': '{count} problema(s) nos dados corrigido(s)',
+    'Give it a new id': 'Dar-lhe um novo id', 'Archive it': 'Arquivar', 'Remove the item': 'Remover o item', 'Use the default profile': 'Usar o perfil predefinido', 'Use the first profile': 'Usar o primeiro perfil', 'Remove it': 'Remover',
+    '{record} {name} has the same id "{id}" as an earlier record': '{record} {name} tem o mesmo id "{id}" que um registo anterior', 'Meal {name} has no items': 'A refeição {name} não tem itens',
+    'Meal {name} uses a recipe that contains itself': 'A refeição {name} usa uma receita que se contém a si própria', 'Meal {name} uses recipe "{id}", which doesn\'t exist': 'A refeição {name} usa a receita "{id}", que não existe',
+    'Meal {name} uses ingredient "{id}", which doesn\'t exist': 'A refeição {name} usa o ingrediente "{id}", que não existe',
+    'Meal {name} counts {ingredient} in portions, but {ingredient} has none; it adds nothing': 'A refeição {name} conta {ingredient} em porções, mas {ingredient} não tem nenhuma; não soma nada',
+    'Meal {name} measures {ingredient} in {unit}, but {ingredient} has no density; it adds nothing': 'A refeição {name} mede {ingredient} em {unit}, mas {ingredient} não tem densidade; não soma nada',
+    'Day plan {name} uses meal "{id}", which doesn\'t exist': 'O plano de dia {name} usa a refeição "{id}", que não existe', 'Diary {name} uses meal "{id}", which doesn\'t exist': 'O diário de {name} usa a refeição "{id}", que não existe',
+    'Day plan {name} uses a goal profile that doesn\'t exist': 'O plano de dia {name} usa um perfil de objetivos que não existe', 'Diary {name} uses a goal profile that doesn\'t exist': 'O diário de {name} usa um perfil de objetivos que não existe',
+    "The default goal profile doesn't exist": 'O perfil de objetivos predefinido não existe', 'The shopping list includes day plan "{id}", which doesn\'t exist': 'A lista de compras inclui o plano de dia "{id}", que não existe',
+    'The shopping list has ingredient "{id}" checked off, which doesn\'t exist': 'A lista de compras tem o ingrediente "{id}" marcado, que não existe', 'saturated fat': 'gordura saturada',
+    '{name}: {nutrient} is {value} g per 100g': '{name}: {nutrient} é {value} g por 100g', '{name}: protein, carbs, fat and fiber add up to {value} g per 100g': '{name}: proteína, hidratos, gordura e fibra somam {value} g por 100g',
+    '{name}: {kcal} kcal per 100g is more than pure fat': '{name}: {kcal} kcal por 100g é mais do que gordura pura', '{name}: saturated fat is more than total fat': '{name}: a gordura saturada é mais do que a gordura total',
+    '{name}: sugar is more than total carbs': '{name}: o açúcar é mais do que os hidratos totais', '{name}: portion "{portion}" weighs nothing': '{name}: a porção "{portion}" não pesa nada',
+    '{name}: {kcal} kcal per 100g, but its macros add up to about {expected} kcal': '{name}: {kcal} kcal por 100g, mas os macros somam cerca de {expected} kcal',
+  },
+};
+
+function uiLanguage() { return LANGUAGES[state.settings.language] ? state.settings.language : 'en'; }
+function appLocale() { return state.settings.locale || navigator.language || 'en-GB'; }
+function appCurrency() { return state.settings.currency || 'EUR'; }
+
+// t('Save') or t('Open meal {name}', { name })
+function t(text, vars) {
+  const s = I18N[uiLanguage()]?.[text] ?? text;
+  return vars ? FoodsiesCore.fillText(s, vars) : s;
+}
+
+const numberFormats = new Map(); // locale + options -> Intl.NumberFormat
+function numberFormat(options = {}) {
+  const key = appLocale() + JSON.stringify(options);
+  if (!numberFormats.has(key)) {
+    let format;
+    // A locale or currency this browser doesn't know (e.g. synced from another device) falls back to the defaults
+    try { format = new Intl.NumberFormat(appLocale(), options); } catch {
+      format = new Intl.NumberFormat('en-GB', options.currency ? { ...options, currency: 'EUR' } : options);
+    }
+    numberFormats.set(key, format);
+  }
+  return numberFormats.get(key);
+}
+
+function fmtMoney(n) { return numberFormat({ style: 'currency', currency: appCurrency() }).format(n || 0); }
+function currencySymbol() {
+  return numberFormat({ style: 'currency', currency: appCurrency() }).formatToParts(0).find(p => p.type === 'currency')?.value || appCurrency();
+}
+// Numbers shown in input fields: the locale's decimal mark, no grouping, so they read back with parseDecimal
+function fmtInput(n) { return n == null || n === '' ? '' : numberFormat({ useGrouping: false, maximumFractionDigits: 6 }).format(n); }
+
+// Reads a typed number in the app's locale (see FoodsiesCore.parseDecimal). NaN when empty or not a number.
+function parseDecimal(v) {
+  return FoodsiesCore.parseDecimal(v, numberFormat().formatToParts(1000000).find(p => p.type === 'group')?.value);
+}
+
+// The page's own text, recorded in English once so switching language always translates from the source.
+// Attributes that code sets (like the profile selector's title) stay out of the HTML so they aren't recorded.
+const staticTexts = []; // [node, attribute or null for a text node, English]
+function collectStaticTexts(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+  for (let n = walker.nextNode(); n; n = walker.nextNode()) {
+    if (n.nodeType === Node.TEXT_NODE) {
+      if (n.nodeValue.trim()) staticTexts.push([n, null, n.nodeValue]);
+      continue;
+    }
+    ['placeholder', 'title', 'aria-label'].forEach(a => { if (n.hasAttribute(a)) staticTexts.push([n, a, n.getAttribute(a)]); });
+    if (n.tagName === 'TEMPLATE') collectStaticTexts(n.content);
+  }
+}
+collectStaticTexts(document.documentElement);
+
+function translatePage() {
+  staticTexts.forEach(([node, attr, source]) => {
+    const text = source.trim();
+    const translated = source.replace(text, t(text));
+    if (attr) node.setAttribute(attr, translated);
+    else if (node.nodeValue !== translated) node.nodeValue = translated;
+  });
+  document.documentElement.lang = uiLanguage();
+}
+
 // ---------- Helpers ----------
-function round1(n) { return Math.round((n + Number.EPSILON) * 10) / 10; }
-function round2(n) { return Math.round((n + Number.EPSILON) * 100) / 100; }
-function fmtEUR(n) { return round2(n || 0).toFixed(2) + '€'; }
-function getIngredient(id) { return state.ingredients.find(i => i.id === id); }
-function getMeal(id) { return state.meals.find(m => m.id === id); }
-
-function computeFrom100g(ing, grams) {
-  const ratio = grams / 100;
-  return {
-    kcal: round1(ing.kcal100 * ratio),
-    protein: round1(ing.protein100 * ratio),
-    cost: ing.pricePerKg ? round2((ing.pricePerKg / 1000) * grams) : 0
-  };
+function downloadText(filename, text, type = 'text/plain') {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
 }
 
-function computeFromPortion(ing, portions) {
-  const grams = (ing.portionGrams || 0) * portions;
-  return computeFrom100g(ing, grams);
+// Replaces el's content with a muted line such as "Nothing archived."
+function showNote(el, text) {
+  const p = document.createElement('p'); p.className = 'smallmuted'; p.textContent = text;
+  el.replaceChildren(p);
 }
+// The core's record lookups and sums, bound to the current profile's state
+function getIngredient(id) { return FoodsiesCore.getIngredient(state, id); }
+function getMeal(id) { return FoodsiesCore.getMeal(state, id); }
+function resolveItemSource(it) { return FoodsiesCore.resolveItemSource(state, it); }
+function recipeYieldGrams(meal) { return FoodsiesCore.recipeYieldGrams(state, meal); }
+function recipeAsIngredient(meal) { return FoodsiesCore.recipeAsIngredient(state, meal); }
+function hasRecipeCycle(meal) { return FoodsiesCore.hasRecipeCycle(state, meal); }
+function sumMeal(meal) { return FoodsiesCore.sumMeal(state, meal); }
+function sumDayItem(it) { return FoodsiesCore.sumDayItem(state, it); }
+function sumDay(day) { return FoodsiesCore.sumDay(state, day); }
+function activeIngredients() { return state.ingredients.filter(i => !i.archived); }
+function activeMeals() { return state.meals.filter(m => !m.archived); }
 
-// ---------- Ingredients UI ----------
-const elIngList = document.getElementById('ingredient-list');
-const elIngSearch = document.getElementById('ingredient-search');
-const elIngDialog = document.getElementById('ingredient-dialog');
-const elIngForm = document.getElementById('ingredient-form');
-const elIngDialogTitle = document.getElementById('ingredient-dialog-title');
-const elIngName = document.getElementById('ing-name');
-const elIngBrand = document.getElementById('ing-brand');
-const elIngKcal100 = document.getElementById('ing-kcal100');
-const elIngProtein100 = document.getElementById('ing-protein100');
-const elIngPortionName = document.getElementById('ing-portion-name');
-const elIngPortionGrams = document.getElementById('ing-portion-grams');
-const elIngNotes = document.getElementById('ing-notes');
-const elIngPriceKg = document.getElementById('ing-price-kg');
-let editingIngredientId = null;
+// Price history (see PricePoint above)
+function sortPrices(prices) { return prices.slice().sort((a, b) => a.date.localeCompare(b.date)); }
+function latestPrice(ing) { return ing.prices?.length ? ing.prices[ing.prices.length - 1] : null; }
+function fmtPricePoint(p) { return p.store ? t('{price}/kg at {store}', { price: fmtMoney(p.pricePerKg), store: p.store }) : t('{price}/kg', { price: fmtMoney(p.pricePerKg) }); }
 
-document.getElementById('btn-add-ingredient').addEventListener('click', () => {
-  openIngredientDialog();
-});
+// The latest price at each store, cheapest first; entries without a store count as one more store
+function storePrices(ing) {
+  const byStore = new Map();
+  (ing.prices || []).forEach(p => byStore.set(p.store || '', p));
+  return [...byStore.values()].sort((a, b) => a.pricePerKg - b.pricePerKg);
+}
 
-function openIngredientDialog(ingredient) {
-  editingIngredientId = ingredient?.id || null;
-  elIngDialogTitle.textContent = editingIngredientId ? 'Edit Ingredient' : 'Add Ingredient';
-  elIngName.value = ingredient?.name || '';
-  elIngBrand.value = ingredient?.brand || '';
-  elIngKcal100.value = ingredient?.kcal100 ?? '';
-  elIngProtein100.value = ingredient?.protein100 ?? '';
-  elIngPriceKg.value = ingredient?.pricePerKg ?? '';
-  elIngPortionName.value = ingredient?.portionName || '';
-  elIngPortionGrams.value = ingredient?.portionGrams ?? '';
-  elIngNotes.value = ingredient?.notes || '';
-  elIngDialog.showModal();
+// "+0.30€ since 2026-09-01" against the previous price at the same store
+function priceChangeText(ing) {
+  const latest = latestPrice(ing);
+  if (!latest) return '';
+  const prev = ing.prices.slice(0, -1).reverse().find(p => (p.store || '') === (latest.store || ''));
+  if (!prev || prev.pricePerKg === latest.pricePerKg) return '';
+  const d = round2(latest.pricePerKg - prev.pricePerKg);
+  return t('{change} since {date}', { change: `${d > 0 ? '▲ +' : '▼ '}${fmtMoney(d)}`, date: prev.date });
 }
 
-document.getElementById('btn-cancel-ing').addEventListener('click', () => elIngDialog.close());
+// Meal items point at an ingredient or at a recipe meal; selects encode the latter as 'recipe:<mealId>'
+function sourceValue(it) { return it.recipeId ? `recipe:${it.recipeId}` : (it.ingredientId || ''); }
+function sourceFromValue(v) { return v.startsWith('recipe:') ? { recipeId: v.slice(7) } : { ingredientId: v || null }; }
+function getSourceByValue(v) { return v ? resolveItemSource(sourceFromValue(v)) : null; }
 
-document.getElementById('btn-save-ing').addEventListener('click', (e) => {
-  e.preventDefault();
-  const name = elIngName.value.trim();
-  if (!name) { elIngName.focus(); return; }
-  const kcal100 = parseFloat(elIngKcal100.value);
-  const protein100 = parseFloat(elIngProtein100.value);
-  if (!(kcal100 >= 0) || !(protein100 >= 0)) return;
-  const portionName = elIngPortionName.value.trim() || null;
-  const portionGrams = elIngPortionGrams.value ? parseFloat(elIngPortionGrams.value) : null;
-  const pricePerKg = elIngPriceKg.value ? parseFloat(elIngPriceKg.value) : null;
+// Unit selects hold a UNITS key or 'portion:<name>'
+function unitValue(ing, it) {
+  return it.mode === 'portion' ? `portion:${getPortion(ing, it.portion)?.name ?? ''}` : (it.mode || 'grams');
+}
+function unitFromValue(v) {
+  return v.startsWith('portion:') ? { mode: 'portion', portion: v.slice(8) } : { mode: v || 'grams' };
+}
+function unitLabel(ing, it) {
+  return it.mode === 'portion' ? `${getPortion(ing, it.portion)?.name || 'portion'}(s)` : (UNITS[it.mode] || UNITS.grams).label;
+}
 
-  const entry = {
-    id: editingIngredientId || uid('ing'),
-    name,
-    brand: elIngBrand.value.trim() || null,
-    kcal100,
-    protein100,
-    pricePerKg,
-    portionName,
-    portionGrams,
-    notes: elIngNotes.value.trim() || null,
-  };
+function unitSystem() { return state.settings.units === 'imperial' ? 'imperial' : 'metric'; }
+function defaultWeightUnit() { return unitSystem() === 'imperial' ? 'oz' : 'grams'; }
 
-  const idx = state.ingredients.findIndex(i => i.id === entry.id);
-  if (idx === -1) state.ingredients.push(entry); else state.ingredients[idx] = entry;
-  saveData(state);
-  elIngDialog.close();
-  renderIngredients();
-  refreshMealIngredientOptions();
-});
+function fmtWeight(g) {
+  if (unitSystem() !== 'imperial') return `${round1(g)} g`;
+  const oz = g / UNITS.oz.grams;
+  return oz >= 16 ? `${round2(oz / 16)} lb` : `${round1(oz)} oz`;
+}
 
-function ingredientMatches(ing, q) {
-  if (!q) return true;
-  const s = `${ing.name} ${ing.brand || ''}`.toLowerCase();
-  return s.includes(q.toLowerCase());
+// Offers the display system's weights, its volumes when the ingredient has a density, then the ingredient's portions.
+// The wanted unit stays listed even from the other system; one the ingredient can't convert falls back to the default weight.
+function fillUnitSelect(sel, ing, wanted) {
+  const system = unitSystem();
+  sel.innerHTML = '';
+  Object.entries(UNITS).forEach(([key, u]) => {
+    if ((u.system === system || key === wanted) && (!u.ml || ing?.density > 0)) sel.appendChild(new Option(u.label, key));
+  });
+  if (ing) ingredientPortions(ing).forEach(p => sel.appendChild(new Option(`${p.name} (${fmtWeight(p.grams)})`, `portion:${p.name}`)));
+  sel.value = wanted;
+  if (sel.value !== wanted) sel.value = defaultWeightUnit();
 }
 
+function fmtMacros(res) {
+  return MACROS.map(n => `${res[n.key]} g ${t(n.short)}`).join(' • ');
+}
+
+// Fills a row/card stats element: kcal/protein/cost on the first line, the other macros below
+function renderStats(el, res) {
+  el.textContent = t('{kcal} kcal • {protein} g protein • cost {money}', { kcal: res.kcal, protein: res.protein, money: fmtMoney(res.cost) });
+  const macros = document.createElement('div');
+  macros.className = 'smallmuted';
+  macros.textContent = fmtMacros(res);
+  el.appendChild(macros);
+}
+
+// ---------- Goals ----------
+// Goals are ranges: { min, max }, either side may be null ("at least" / "at most").
+// Day plans and diary dates pick a goal profile (goalProfileId, else the default profile);
+// meals may carry their own targets in the same shape.
+function getGoalProfile(id) {
+  const list = state.settings.goalProfiles || [];
+  return list.find(p => p.id === id) || list.find(p => p.id === state.settings.defaultGoalProfileId) || list[0] || null;
+}
+
+// Fills a select with "Default goals (<name>)" (value '') and every profile
+function fillGoalProfileSelect(select, selected = '') {
+  const def = getGoalProfile(null);
+  select.innerHTML = '';
+  select.appendChild(new Option(def ? t('Default goals ({name})', { name: def.name }) : t('Default goals'), ''));
+  (state.settings.goalProfiles || []).forEach(p => select.appendChild(new Option(p.name, p.id)));
+  select.value = (state.settings.goalProfiles || []).some(p => p.id === selected) ? selected : '';
+}
+
+function hasRange(range) { return range != null && (range.min != null || range.max != null); }
+
+// A single number to aim for, e.g. for Fit to Goal: the middle of a range, else its one bound
+function rangeTarget(range) {
+  if (!hasRange(range)) return null;
+  if (range.min != null && range.max != null) return round1((range.min + range.max) / 2);
+  return range.min ?? range.max;
+}
+
+function fmtRange(range, unit) {
+  if (!hasRange(range)) return '—';
+  if (range.min != null && range.max != null) return range.min === range.max ? `${range.min} ${unit}` : `${range.min}–${range.max} ${unit}`;
+  return range.min != null ? `≥ ${range.min} ${unit}` : `≤ ${range.max} ${unit}`;
+}
+
+// { status: 'hit'|'under'|'over', delta } where delta is the distance to the nearest bound
+function rangeStatus(value, range) {
+  if (!hasRange(range)) return null;
+  if (range.min != null && value < range.min) return { status: 'under', delta: round1(value - range.min) };
+  if (range.max != null && value > range.max) return { status: 'over', delta: round1(value - range.max) };
+  return { status: 'hit', delta: 0 };
+}
+
+// Nutrients with a goal that the totals miss, as "kcal +120" style strings
+function goalMisses(sums, goals = {}) {
+  const checked = NUTRIENTS.filter(n => hasRange(goals[n.key]));
+  const misses = checked
+    .map(n => ({ n, r: rangeStatus(sums[n.key], goals[n.key]) }))
+    .filter(({ r }) => r.status !== 'hit')
+    .map(({ n, r }) => `${t(n.short)} ${fmtDelta(r.delta)}`);
+  return { checked: checked.length, misses };
+}
+
+function fmtDelta(d) { return (d > 0 ? '+' : '') + d; }
+
+// One row per nutrient: total, goal range and hit or the signed distance to the range
+function renderGoalTable(tbody, sums, goals = {}) {
+  if (!tbody) return;
+  tbody.innerHTML = '';
+  NUTRIENTS.forEach(n => {
+    const range = goals[n.key];
+    const tr = document.createElement('tr');
+    const label = document.createElement('th'); label.textContent = t(n.label);
+    const total = document.createElement('td'); total.textContent = `${sums[n.key]} ${n.unit}`;
+    const goalCell = document.createElement('td'); goalCell.textContent = fmtRange(range, n.unit);
+    const status = document.createElement('td'); status.className = 'delta';
+    const r = rangeStatus(sums[n.key], range);
+    status.textContent = !r ? '—' : r.status === 'hit' ? '✓' : fmtDelta(r.delta);
+    if (r) status.classList.add(r.status);
+    tr.append(label, total, goalCell, status);
+    tbody.appendChild(tr);
+  });
+}
+
+// Range inputs for every nutrient into a table body: [label][min][max] (+ optional status cells)
+function buildRangeInputs(tbody, goals = {}, onInput = null) {
+  tbody.innerHTML = '';
+  return Object.fromEntries(NUTRIENTS.map(n => {
+    const tr = document.createElement('tr');
+    const label = document.createElement('th'); label.textContent = `${t(n.label)} (${n.unit})`;
+    const input = (value, placeholder) => {
+      const el = document.createElement('input');
+      el.inputMode = 'decimal'; el.placeholder = placeholder;
+      el.value = fmtInput(value);
+      if (onInput) el.addEventListener('input', onInput);
+      const td = document.createElement('td'); td.appendChild(el);
+      tr.appendChild(td);
+      return el;
+    };
+    tr.appendChild(label);
+    const min = input(goals[n.key]?.min, t('min'));
+    const max = input(goals[n.key]?.max, t('max'));
+    tbody.appendChild(tr);
+    return [n.key, { min, max, row: tr }];
+  }));
+}
+
+// Reads inputs from buildRangeInputs; nutrients without bounds are left out
+function readRangeInputs(inputs) {
+  const goals = {};
+  NUTRIENTS.forEach(n => {
+    const min = inputs[n.key].min.value === '' ? null : parseDecimal(inputs[n.key].min.value);
+    const max = inputs[n.key].max.value === '' ? null : parseDecimal(inputs[n.key].max.value);
+    if (min != null || max != null) goals[n.key] = { min, max };
+  });
+  return goals;
+}
+
+// ---------- Search ----------
+// Lowercase without accents, so "acai" finds "Açaí"
+function normalizeText(s) {
+  return String(s ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Levenshtein distance, giving up (returning max + 1) once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    if (Math.min(...cur) > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// null when the query doesn't match, else the number of typos it took (0 = every word found as typed).
+// Each query word must appear in the text, or be within one typo (two for long words) of a word or its start.
+function fuzzyScore(text, query) {
+  const words = normalizeText(text).split(/[^a-z0-9]+/).filter(Boolean);
+  const hay = words.join(' ');
+  let score = 0;
+  for (const q of normalizeText(query).split(/[^a-z0-9]+/).filter(Boolean)) {
+    if (hay.includes(q)) continue;
+    const allowed = q.length >= 8 ? 2 : q.length >= 4 ? 1 : 0;
+    const best = Math.min(allowed + 1, ...words.flatMap(w => [w, w.slice(0, q.length), w.slice(0, q.length + 1)])
+      .map(w => editDistance(q, w, allowed)));
+    if (best > allowed) return null;
+    score += best;
+  }
+  return score;
+}
+
+// The items matching q, best first; ties keep their order in list
+function searchRank(list, q, textOf) {
+  if (!normalizeText(q).trim()) return list.slice();
+  return list
+    .map((x, i) => ({ x, i, score: fuzzyScore(textOf(x), q) }))
+    .filter(r => r.score != null)
+    .sort((a, b) => a.score - b.score || a.i - b.i)
+    .map(r => r.x);
+}
+
+// Everything the ingredient search looks at
+function ingredientSearchText(ing) {
+  return [ing.name, ing.brand, ing.category, ...(ing.tags || [])].filter(Boolean).join(' ');
+}
+
+function pickerLabel(select) {
+  return select.value ? select.selectedOptions[0]?.textContent || '' : '';
+}
+
+// Turns a <select> into a type-to-search picker. The select stays the value holder and still fires change;
+// the input searches its options, with textOf(value) adding searchable text such as tags.
+function attachPicker(select, input, list, textOf = () => '') {
+  let matches = [];
+  let active = 0;
+  const close = () => { list.classList.add('hidden'); input.value = pickerLabel(select); };
+  const pick = (option) => {
+    select.value = option.value;
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    close();
+  };
+  function render() {
+    const query = input.value === pickerLabel(select) ? '' : input.value;
+    const options = [...select.options].filter(o => o.value);
+    matches = searchRank(options, query, o => `${o.textContent} ${textOf(o.value)}`).slice(0, 50);
+    active = Math.min(active, Math.max(0, matches.length - 1));
+    list.innerHTML = '';
+    if (!matches.length) {
+      const empty = document.createElement('div'); empty.className = 'picker-empty smallmuted'; empty.textContent = t('No matches');
+      list.appendChild(empty);
+    }
+    matches.forEach((o, i) => {
+      const row = document.createElement('div');
+      row.className = 'picker-option' + (i === active ? ' active' : '');
+      row.textContent = o.textContent;
+      const group = o.parentElement.tagName === 'OPTGROUP' ? o.parentElement.label : '';
+      if (group) { const hint = document.createElement('span'); hint.className = 'smallmuted'; hint.textContent = group; row.appendChild(hint); }
+      // mousedown so the pick happens before the input's blur closes the list
+      row.addEventListener('mousedown', (e) => { e.preventDefault(); pick(o); });
+      list.appendChild(row);
+    });
+    list.classList.remove('hidden');
+    list.querySelector('.active')?.scrollIntoView?.({ block: 'nearest' });
+  }
+  input.addEventListener('focus', () => { active = 0; render(); input.select(); });
+  input.addEventListener('input', () => { active = 0; render(); });
+  input.addEventListener('blur', close);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (list.classList.contains('hidden')) { render(); return; }
+      active = (active + (e.key === 'ArrowDown' ? 1 : -1) + matches.length) % Math.max(1, matches.length);
+      render();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (matches[active]) pick(matches[active]);
+    } else if (e.key === 'Escape' && !list.classList.contains('hidden')) {
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    }
+  });
+  input.value = pickerLabel(select);
+}
+
+// ---------- Ingredients UI ----------
+const elIngList = document.getElementById('ingredient-list');
+const elIngSearch = document.getElementById('ingredient-search');
+const elIngFilterCategory = document.getElementById('ingredient-filter-category');
+const elIngFilterTag = document.getElementById('ingredient-filter-tag');
+const elIngFilterBrand = document.getElementById('ingredient-filter-brand');
+const elIngSort = document.getElementById('ingredient-sort');
+const elIngCategory = document.getElementById('ing-category');
+const elIngTags = document.getElementById('ing-tags');
+const elIngCategories = document.getElementById('ingredient-categories');
+const elIngDialog = document.getElementById('ingredient-dialog');
+const elIngForm = document.getElementById('ingredient-form');
+const elIngDialogTitle = document.getElementById('ingredient-dialog-title');
+const elIngName = document.getElementById('ing-name');
+const elIngBrand = document.getElementById('ing-brand');
+const elIngBarcode = document.getElementById('ing-barcode');
+const elIngKcal100 = document.getElementById('ing-kcal100');
+const elIngProtein100 = document.getElementById('ing-protein100');
+const elIngPortions = document.getElementById('ing-portions');
+const elIngDensity = document.getElementById('ing-density');
+const elIngNotes = document.getElementById('ing-notes');
+const elIngPriceKg = document.getElementById('ing-price-kg');
+const elIngPriceStore = document.getElementById('ing-price-store');
+const elIngPriceDate = document.getElementById('ing-price-date');
+const elIngPriceHistory = document.getElementById('ing-price-history');
+const elPriceStores = document.getElementById('price-stores');
+const elIngPackageGrams = document.getElementById('ing-package-grams');
+const elIngMacros = Object.fromEntries(MACROS.map(n => [n.key, document.getElementById(`ing-${n.slug}100`)]));
+let editingIngredientId = null;
+let editingPrices = []; // the dialog's working copy of the ingredient's price history
+
+document.getElementById('btn-add-ingredient').addEventListener('click', () => {
+  openIngredientDialog();
+});
+
+function openIngredientDialog(ingredient) {
+  editingIngredientId = ingredient?.id || null;
+  remoteEdits.delete(editingIngredientId);
+  elIngDialogTitle.textContent = editingIngredientId ? t('Edit Ingredient') : t('Add Ingredient');
+  elIngName.value = ingredient?.name || '';
+  elIngBrand.value = ingredient?.brand || '';
+  elIngBarcode.value = ingredient?.barcode || '';
+  elIngKcal100.value = fmtInput(ingredient?.kcal100);
+  elIngProtein100.value = fmtInput(ingredient?.protein100);
+  editingPrices = (ingredient?.prices || []).slice();
+  elPriceStores.innerHTML = '';
+  [...new Set(state.ingredients.flatMap(i => (i.prices || []).map(p => p.store).filter(Boolean)))]
+    .sort().forEach(s => elPriceStores.appendChild(new Option(s, s)));
+  showLatestPrice(ingredient?.pricePerKg);
+  elIngPackageGrams.value = fmtInput(ingredient?.packageGrams);
+  MACROS.forEach(n => { elIngMacros[n.key].value = fmtInput(ingredient?.[n.key + '100']); });
+  elIngPortions.innerHTML = '';
+  (ingredient ? ingredientPortions(ingredient) : []).forEach(addPortionRow);
+  elIngDensity.value = fmtInput(ingredient?.density);
+  elIngCategory.value = ingredient?.category || '';
+  elIngTags.value = (ingredient?.tags || []).join(', ');
+  elIngCategories.innerHTML = '';
+  ingredientFacet(i => [i.category]).forEach(c => elIngCategories.appendChild(new Option(c, c)));
+  elIngNotes.value = ingredient?.notes || '';
+  elIngDialog.showModal();
+}
+
+// The price inputs start at the current price and the latest entry's store, dated today; saving them unchanged adds
+// nothing. An empty price field means no current price: the history stays but the ingredient costs nothing.
+function showLatestPrice(pricePerKg) {
+  const latest = editingPrices[editingPrices.length - 1];
+  elIngPriceKg.value = fmtInput(pricePerKg);
+  elIngPriceStore.value = latest?.store || '';
+  elIngPriceDate.value = toISODate(new Date());
+  renderPriceHistory();
+}
+
+function renderPriceHistory() {
+  elIngPriceHistory.innerHTML = '';
+  if (!editingPrices.length) { elIngPriceHistory.textContent = t('No prices recorded yet.'); return; }
+  editingPrices.slice().reverse().forEach(p => {
+    const row = document.createElement('div'); row.className = 'price-entry';
+    const text = document.createElement('span'); text.textContent = `${p.date} • ${fmtPricePoint(p)}`;
+    const remove = document.createElement('button'); remove.type = 'button'; remove.className = 'ghost'; remove.textContent = '✕'; remove.title = t('Remove this price');
+    remove.addEventListener('click', () => {
+      editingPrices = editingPrices.filter(x => x !== p);
+      showLatestPrice(editingPrices[editingPrices.length - 1]?.pricePerKg);
+    });
+    row.appendChild(text); row.appendChild(remove);
+    elIngPriceHistory.appendChild(row);
+  });
+}
+
+// The dialog's history plus the price inputs as a new entry (replacing one for the same date and store)
+function readPriceHistory(pricePerKg) {
+  const today = toISODate(new Date());
+  const store = elIngPriceStore.value.trim() || null;
+  const date = isISODate(elIngPriceDate.value) ? elIngPriceDate.value : today;
+  const latest = editingPrices[editingPrices.length - 1];
+  const unchanged = latest && latest.pricePerKg === pricePerKg && (latest.store || null) === store && date === today;
+  if (pricePerKg == null || unchanged) return editingPrices.slice();
+  const others = editingPrices.filter(p => !(p.date === date && (p.store || null) === store));
+  return sortPrices([...others, { date, pricePerKg, store }]);
+}
+
+function addPortionRow(portion) {
+  const row = document.createElement('div'); row.className = 'portion-row';
+  const name = document.createElement('input'); name.className = 'portion-name'; name.placeholder = t('e.g., large egg'); name.value = portion?.name || '';
+  const grams = document.createElement('input'); grams.className = 'portion-grams'; grams.inputMode = 'decimal'; grams.placeholder = t('grams');
+  grams.value = fmtInput(portion?.grams);
+  const remove = document.createElement('button'); remove.type = 'button'; remove.className = 'ghost'; remove.textContent = '✕'; remove.title = t('Remove portion');
+  remove.addEventListener('click', () => row.remove());
+  row.appendChild(name); row.appendChild(grams); row.appendChild(remove);
+  elIngPortions.appendChild(row);
+  return row;
+}
+
+document.getElementById('btn-add-portion').addEventListener('click', () => addPortionRow().querySelector('input').focus());
+
+// The portion rows as [{ name, grams }], or null (with the offending input focused) when one is incomplete
+function readPortionRows() {
+  const portions = [];
+  for (const row of elIngPortions.querySelectorAll('.portion-row')) {
+    const name = row.querySelector('.portion-name');
+    const grams = row.querySelector('.portion-grams');
+    if (!name.value.trim() && !grams.value) continue;
+    if (!name.value.trim()) { name.focus(); return null; }
+    if (!(parseDecimal(grams.value) > 0)) { grams.focus(); return null; }
+    if (portions.some(p => p.name === name.value.trim())) { alert(t('There are two portions named "{name}".', { name: name.value.trim() })); name.focus(); return null; }
+    portions.push({ name: name.value.trim(), grams: parseDecimal(grams.value) });
+  }
+  return portions;
+}
+
+document.getElementById('btn-cancel-ing').addEventListener('click', () => elIngDialog.close());
+
+document.getElementById('btn-save-ing').addEventListener('click', (e) => {
+  e.preventDefault();
+  const name = elIngName.value.trim();
+  if (!name) { elIngName.focus(); return; }
+  const kcal100 = parseDecimal(elIngKcal100.value);
+  const protein100 = parseDecimal(elIngProtein100.value);
+  if (!(kcal100 >= 0)) { elIngKcal100.focus(); return; }
+  if (!(protein100 >= 0)) { elIngProtein100.focus(); return; }
+  const macros = {};
+  for (const n of MACROS) {
+    const raw = elIngMacros[n.key].value;
+    const v = raw ? parseDecimal(raw) : null;
+    if (v != null && !(v >= 0)) { elIngMacros[n.key].focus(); return; }
+    macros[n.key + '100'] = v;
+  }
+  const portions = readPortionRows();
+  if (!portions) return;
+  const density = elIngDensity.value ? parseDecimal(elIngDensity.value) : null;
+  if (density != null && !(density > 0)) { elIngDensity.focus(); return; }
+  const pricePerKg = elIngPriceKg.value ? parseDecimal(elIngPriceKg.value) : null;
+  if (pricePerKg != null && !(pricePerKg >= 0)) { elIngPriceKg.focus(); return; }
+  const packageGrams = elIngPackageGrams.value ? parseDecimal(elIngPackageGrams.value) : null;
+  if (packageGrams != null && !(packageGrams > 0)) { elIngPackageGrams.focus(); return; }
+
+  if (!confirmRemoteOverwrite(editingIngredientId)) return;
+  const prices = readPriceHistory(pricePerKg);
+  const entry = {
+    id: editingIngredientId || uid('ing'),
+    name,
+    brand: elIngBrand.value.trim() || null,
+    barcode: elIngBarcode.value.trim() || null,
+    kcal100,
+    protein100,
+    ...macros,
+    pricePerKg: pricePerKg == null || !prices.length ? null : prices[prices.length - 1].pricePerKg,
+    prices,
+    packageGrams,
+    portions,
+    density,
+    category: elIngCategory.value.trim() || null,
+    tags: parseTags(elIngTags.value),
+    notes: elIngNotes.value.trim() || null,
+  };
+
+  const idx = state.ingredients.findIndex(i => i.id === entry.id);
+  if (idx === -1) state.ingredients.push(entry); else state.ingredients[idx] = entry;
+  commitState('Save ingredient');
+  elIngDialog.close();
+  renderIngredients();
+  refreshMealIngredientOptions();
+});
+
+// "Dairy, bulk buy, dairy" -> ['Dairy', 'bulk buy']
+function parseTags(text) {
+  const seen = new Set();
+  return text.split(',').map(t => t.trim()).filter(t => {
+    const key = normalizeText(t);
+    if (!t || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// The distinct values valuesOf(ing) yields across active ingredients, sorted
+function ingredientFacet(valuesOf) {
+  const values = new Map();
+  activeIngredients().forEach(ing => valuesOf(ing).forEach(v => { if (v && !values.has(normalizeText(v))) values.set(normalizeText(v), v); }));
+  return [...values.values()].sort((a, b) => a.localeCompare(b));
+}
+
+function fillFacetSelect(sel, allLabel, values) {
+  const current = sel.value;
+  sel.innerHTML = '';
+  sel.appendChild(new Option(allLabel, ''));
+  values.forEach(v => sel.appendChild(new Option(v, v)));
+  sel.value = values.includes(current) ? current : '';
+}
+
+function perKcal(ing, key) { return ing.kcal100 ? ing[key] / ing.kcal100 : 0; }
+const INGREDIENT_SORTS = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  protein: (a, b) => b.protein100 - a.protein100,
+  'kcal-asc': (a, b) => a.kcal100 - b.kcal100,
+  'kcal-desc': (a, b) => b.kcal100 - a.kcal100,
+  price: (a, b) => (a.pricePerKg ?? Infinity) - (b.pricePerKg ?? Infinity),
+  'protein-kcal': (a, b) => perKcal(b, 'protein100') - perKcal(a, 'protein100'),
+};
+
 function renderIngredients() {
-  const q = elIngSearch.value.trim();
+  fillFacetSelect(elIngFilterCategory, t('All categories'), ingredientFacet(i => [i.category]));
+  fillFacetSelect(elIngFilterTag, t('All tags'), ingredientFacet(i => i.tags || []));
+  fillFacetSelect(elIngFilterBrand, t('All brands'), ingredientFacet(i => [i.brand]));
+  const same = (a, b) => normalizeText(a) === normalizeText(b);
+  const category = elIngFilterCategory.value, tag = elIngFilterTag.value, brand = elIngFilterBrand.value;
+  const filtered = activeIngredients()
+    .filter(ing => (!category || same(ing.category, category))
+      && (!tag || (ing.tags || []).some(t => same(t, tag)))
+      && (!brand || same(ing.brand, brand)))
+    .sort((a, b) => INGREDIENT_SORTS[elIngSort.value](a, b) || a.name.localeCompare(b.name));
   const tpl = document.getElementById('tpl-ingredient-card');
   elIngList.innerHTML = '';
-  state.ingredients
-    .filter(ing => ingredientMatches(ing, q))
-    .sort((a,b) => a.name.localeCompare(b.name))
+  searchRank(filtered, elIngSearch.value, ingredientSearchText)
     .forEach(ing => {
       const node = tpl.content.firstElementChild.cloneNode(true);
       node.querySelector('.title').textContent = ing.name;
-      node.querySelector('.subtitle').textContent = [ing.brand, ing.notes].filter(Boolean).join(' • ');
-      let stats = `${ing.kcal100} kcal / 100g • ${ing.protein100} g protein`;
-      if (ing.pricePerKg) stats += ` • ${round2(ing.pricePerKg).toFixed(2)}€/kg`;
-      if (ing.portionName && ing.portionGrams) {
-        const per = computeFromPortion(ing, 1);
-        stats += ` | 1 ${ing.portionName} (${ing.portionGrams}g): ${per.kcal} kcal • ${per.protein} g`;
-        if (per.cost) stats += ` • cost ${fmtEUR(per.cost)}`;
+      node.querySelector('.subtitle').textContent = [ing.brand, ing.category, ing.notes].filter(Boolean).join(' • ');
+      if (ing.tags?.length) {
+        const tags = document.createElement('div'); tags.className = 'tags';
+        ing.tags.forEach(name => {
+          const chip = document.createElement('button'); chip.className = 'tag'; chip.textContent = name; chip.title = t('Show only "{tag}"', { tag: name });
+          chip.addEventListener('click', () => { elIngFilterTag.value = ingredientFacet(i => i.tags || []).find(v => same(v, name)) || ''; renderIngredients(); });
+          tags.appendChild(chip);
+        });
+        node.querySelector('.subtitle').after(tags);
+      }
+      let stats = t('{kcal} kcal / 100g • {protein} g protein', { kcal: ing.kcal100, protein: ing.protein100 });
+      const known = MACROS.filter(n => ing[n.key + '100'] != null);
+      if (known.length) stats += ` • ${known.map(n => `${ing[n.key + '100']} g ${t(n.short)}`).join(' • ')}`;
+      if (ing.pricePerKg) {
+        const latest = latestPrice(ing);
+        stats += ` • ${fmtPricePoint(latest || { pricePerKg: ing.pricePerKg })}`;
+        const change = priceChangeText(ing);
+        if (change) stats += ` (${change})`;
+        const cheapest = storePrices(ing)[0];
+        if (cheapest && latest && cheapest !== latest && cheapest.pricePerKg < latest.pricePerKg) stats += ` • ${t('cheapest {price}', { price: fmtPricePoint(cheapest) })}`;
       }
+      if (ing.packageGrams) stats += ` • ${t('pack {weight}', { weight: fmtWeight(ing.packageGrams) })}`;
+      if (ing.density) stats += ` • ${ing.density} g/ml`;
+      ingredientPortions(ing).forEach(p => {
+        const per = computeFrom100g(ing, p.grams);
+        stats += ` | 1 ${p.name} (${fmtWeight(p.grams)}): ${per.kcal} kcal • ${per.protein} g`;
+        if (per.cost) stats += ` • ${t('cost {money}', { money: fmtMoney(per.cost) })}`;
+      });
       node.querySelector('.stats').textContent = stats;
       node.querySelector('.btn-edit').addEventListener('click', () => openIngredientDialog(ing));
       node.querySelector('.btn-delete').addEventListener('click', () => deleteIngredient(ing.id));
@@ -200,42 +1672,356 @@ function renderIngredients() {
     });
 }
 
+// Archived rather than removed: meals keep their items and logged days their values
 function deleteIngredient(id) {
-  if (!confirm('Delete this ingredient?')) return;
-  state.ingredients = state.ingredients.filter(i => i.id !== id);
-  // Also remove from any meals
-  state.meals.forEach(m => m.items = m.items.filter(it => it.ingredientId !== id));
-  saveData(state);
+  const ing = getIngredient(id);
+  if (!ing) return;
+  ing.archived = true;
+  ing.archivedAt = new Date().toISOString();
+  commitState(t('Deleted ingredient "{name}"', { name: ing.name }), { undoToast: true });
   renderIngredients();
   renderMealsList();
   renderMealComposer();
+  renderArchive();
 }
 
 elIngSearch.addEventListener('input', renderIngredients);
+[elIngFilterCategory, elIngFilterTag, elIngFilterBrand, elIngSort].forEach(el => el.addEventListener('change', renderIngredients));
+
+// ---------- Ingredients: CSV / Open Food Facts import ----------
+const elImportDialog = document.getElementById('ingredient-import-dialog');
+const elImportInput = document.getElementById('input-import-ingredients');
+const elImportSource = document.getElementById('import-source');
+const elImportMapping = document.getElementById('import-mapping');
+const elImportPreview = document.getElementById('import-preview');
+const elImportSummary = document.getElementById('import-summary');
+const elImportCommit = document.getElementById('btn-import-commit');
+
+// Ingredient fields an import column can map to, with header names recognised automatically
+// (compared lowercased without punctuation, so 'energy-kcal_100g' matches 'energykcal100g')
+const IMPORT_FIELDS = [
+  { key: 'name', label: 'Name', aliases: ['name', 'product_name', 'product', 'ingredient'] },
+  { key: 'brand', label: 'Brand / store', aliases: ['brand', 'brands', 'store'] },
+  { key: 'barcode', label: 'Barcode', aliases: ['barcode', 'code', 'ean', 'gtin'] },
+  { key: 'kcal100', label: 'kcal / 100g', aliases: ['kcal100', 'kcal', 'calories', 'energy-kcal_100g', 'energy_kcal'] },
+  { key: 'kj100', label: 'kJ / 100g (if no kcal)', aliases: ['kj100', 'kj', 'energy_100g', 'energy-kj_100g'] },
+  { key: 'protein100', label: 'Protein / 100g', aliases: ['protein100', 'protein', 'proteins', 'proteins_100g'] },
+  { key: 'carbs100', label: 'Carbs / 100g', aliases: ['carbs100', 'carbs', 'carbohydrates', 'carbohydrates_100g'] },
+  { key: 'fat100', label: 'Fat / 100g', aliases: ['fat100', 'fat', 'fat_100g'] },
+  { key: 'satFat100', label: 'Sat. fat / 100g', aliases: ['satfat100', 'satfat', 'saturated_fat', 'saturated-fat_100g'] },
+  { key: 'fiber100', label: 'Fiber / 100g', aliases: ['fiber100', 'fiber', 'fibre', 'fiber_100g'] },
+  { key: 'sugar100', label: 'Sugar / 100g', aliases: ['sugar100', 'sugar', 'sugars', 'sugars_100g'] },
+  { key: 'salt100', label: 'Salt / 100g', aliases: ['salt100', 'salt', 'salt_100g'] },
+  { key: 'pricePerKg', label: 'Price per kg', aliases: ['pricePerKg', 'price', 'price_per_kg', 'price/kg'] },
+  { key: 'packageGrams', label: 'Package (g)', aliases: ['packageGrams', 'package', 'package_grams', 'product_quantity'] },
+  { key: 'notes', label: 'Notes', aliases: ['notes', 'note'] },
+];
+const IMPORT_NUMERIC = ['kcal100', 'kj100', 'protein100', ...MACROS.map(n => n.key + '100'), 'pricePerKg', 'packageGrams'];
+
+// { headers, rows: [{ [header]: string }], mapping: { [fieldKey]: header }, format }
+let importState = null;
+
+document.getElementById('btn-import-ingredients').addEventListener('click', () => elImportInput.click());
+document.getElementById('btn-import-cancel').addEventListener('click', () => elImportDialog.close());
+elImportCommit.addEventListener('click', (e) => { e.preventDefault(); commitIngredientImport(); });
+
+elImportInput.addEventListener('change', async (e) => {
+  const file = e.target.files?.[0];
+  if (!file) return;
+  try {
+    const text = await file.text();
+    const parsed = parseIngredientFile(text, file.name);
+    if (!parsed.rows.length) throw new Error(t('No rows found in file.'));
+    importState = { ...parsed, mapping: guessImportMapping(parsed.headers) };
+    elImportSource.textContent = t('{file} • {format} • {count} row(s)', { file: file.name, format: parsed.format, count: parsed.rows.length });
+    renderImportMapping();
+    renderImportPreview();
+    elImportDialog.showModal();
+  } catch (err) {
+    alert(t('Could not read {file}: {error}', { file: file.name, error: err.message }));
+  } finally {
+    e.target.value = '';
+  }
+});
+
+function normHeader(h) { return String(h).toLowerCase().replace(/[^a-z0-9]/g, ''); }
+
+// Decimal commas ("3,49") are accepted; empty means null, anything else unparseable is NaN
+function parseLooseNumber(v) {
+  if (v == null || String(v).trim() === '') return null;
+  return parseDecimal(v);
+}
+
+function detectDelimiter(firstLine) {
+  const counts = [',', ';', '\t'].map(d => [d, firstLine.split(d).length]);
+  counts.sort((a,b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+// RFC 4180 style: quoted fields may contain delimiters, newlines and doubled quotes
+function parseCSV(text, delimiter) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') quoted = true;
+    else if (ch === delimiter) { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f !== '')) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some(f => f !== '')) rows.push(row);
+  return rows;
+}
+
+// Open Food Facts product (API or dump) flattened to its CSV export column names
+function flattenOFFProduct(p) {
+  const n = p.nutriments || {};
+  const row = {
+    code: p.code ?? p._id ?? '',
+    product_name: p.product_name || p.product_name_en || p.generic_name || '',
+    brands: String(p.brands || '').split(',')[0].trim(),
+  };
+  ['energy-kcal_100g', 'energy_100g', 'proteins_100g', 'carbohydrates_100g', 'fat_100g', 'saturated-fat_100g', 'fiber_100g', 'sugars_100g', 'salt_100g']
+    .forEach(k => { row[k] = n[k] ?? ''; });
+  const unit = String(p.product_quantity_unit || 'g').toLowerCase();
+  row.product_quantity = unit === 'g' ? (p.product_quantity ?? '') : '';
+  return row;
+}
+
+// Accepts CSV/TSV (own columns or the Open Food Facts export) and Open Food Facts JSON:
+// a single API response, a search result, an array of products or a JSONL dump.
+function parseIngredientFile(text, filename = '') {
+  const trimmed = text.replace(/^﻿/, '').trim();
+  if (/\.jsonl?$/i.test(filename) || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    let products;
+    try {
+      const data = JSON.parse(trimmed);
+      products = Array.isArray(data) ? data : Array.isArray(data.products) ? data.products : data.product ? [{ code: data.code, ...data.product }] : [data];
+    } catch {
+      products = trimmed.split(/\r?\n/).filter(Boolean).map((line, i) => {
+        try { return JSON.parse(line); } catch { throw new Error(t('line {line} is not valid JSON', { line: i + 1 })); }
+      });
+    }
+    const rows = products.map(flattenOFFProduct);
+    return { format: 'Open Food Facts JSON', headers: Object.keys(rows[0] || flattenOFFProduct({})), rows };
+  }
+  const firstLine = trimmed.split(/\r?\n/, 1)[0] || '';
+  const table = parseCSV(trimmed, detectDelimiter(firstLine));
+  const headers = (table.shift() || []).map(h => h.trim());
+  const rows = table.map(cells => Object.fromEntries(headers.map((h, i) => [h, (cells[i] ?? '').trim()])));
+  const isOFF = headers.includes('product_name') && headers.some(h => h.endsWith('_100g'));
+  return { format: isOFF ? 'Open Food Facts CSV' : 'CSV', headers, rows };
+}
+
+function guessImportMapping(headers) {
+  const byNorm = new Map(headers.map(h => [normHeader(h), h]));
+  const mapping = {};
+  IMPORT_FIELDS.forEach(f => {
+    const hit = f.aliases.map(normHeader).find(a => byNorm.has(a));
+    mapping[f.key] = hit ? byNorm.get(hit) : '';
+  });
+  return mapping;
+}
+
+// Builds an ingredient from one mapped row. Returns { entry, errors: [message] }
+function importRowToIngredient(row, mapping) {
+  const errors = [];
+  const get = key => mapping[key] ? row[mapping[key]] : undefined;
+  const nums = {};
+  IMPORT_NUMERIC.forEach(key => {
+    const v = parseLooseNumber(get(key));
+    if (Number.isNaN(v)) errors.push(`${mapping[key]}: ${t('"{value}" is not a number', { value: get(key) })}`);
+    else if (v != null && v < 0) errors.push(`${mapping[key]}: ${t('must not be negative')}`);
+    nums[key] = Number.isNaN(v) || v < 0 ? null : v;
+  });
+  const name = String(get('name') ?? '').trim();
+  if (!name) errors.push(t('name is missing'));
+  let kcal100 = nums.kcal100;
+  if (kcal100 == null && nums.kj100 != null) kcal100 = round1(nums.kj100 / 4.184);
+  if (kcal100 == null && !errors.some(e => e.startsWith(`${mapping.kcal100}:`))) errors.push(t('energy (kcal or kJ) is missing'));
+  if (nums.protein100 == null && !errors.some(e => e.startsWith(`${mapping.protein100}:`))) errors.push(t('protein is missing'));
+  const entry = {
+    id: uid('ing'),
+    name,
+    brand: String(get('brand') ?? '').trim() || null,
+    barcode: String(get('barcode') ?? '').trim() || null,
+    kcal100,
+    protein100: nums.protein100,
+    pricePerKg: nums.pricePerKg,
+    prices: nums.pricePerKg != null ? [{ date: toISODate(new Date()), pricePerKg: nums.pricePerKg, store: null }] : [],
+    packageGrams: nums.packageGrams,
+    portions: [],
+    density: null,
+    notes: String(get('notes') ?? '').trim() || null,
+  };
+  MACROS.forEach(n => { entry[n.key + '100'] = nums[n.key + '100']; });
+  return { entry, errors };
+}
+
+function ingredientKey(ing) {
+  return `${ing.name.trim().toLowerCase()}|${(ing.brand || '').trim().toLowerCase()}`;
+}
+
+// Same barcode, or same name+brand, as an existing ingredient (or an earlier row of the file)
+function findDuplicateIngredient(entry, list) {
+  return list.find(i => (entry.barcode && i.barcode && i.barcode === entry.barcode) || ingredientKey(i) === ingredientKey(entry));
+}
+
+function buildImportPreview() {
+  const accepted = [];
+  return importState.rows.map((row, index) => {
+    const { entry, errors } = importRowToIngredient(row, importState.mapping);
+    let duplicate = null;
+    if (entry.name) {
+      const existing = findDuplicateIngredient(entry, state.ingredients);
+      const earlier = !existing && findDuplicateIngredient(entry, accepted);
+      if (existing) duplicate = existing.archived ? t('already in your ingredients (archived)') : t('already in your ingredients');
+      else if (earlier) duplicate = t('repeated in this file');
+    }
+    if (!errors.length && !duplicate) accepted.push(entry);
+    return { index, entry, errors, duplicate, include: !errors.length && !duplicate };
+  });
+}
+
+function renderImportMapping() {
+  elImportMapping.innerHTML = '';
+  IMPORT_FIELDS.forEach(f => {
+    const label = document.createElement('label');
+    const span = document.createElement('span'); span.textContent = t(f.label);
+    const sel = document.createElement('select');
+    sel.appendChild(new Option(t('(not imported)'), ''));
+    importState.headers.forEach(h => sel.appendChild(new Option(h, h)));
+    sel.value = importState.mapping[f.key] || '';
+    sel.addEventListener('change', () => { importState.mapping[f.key] = sel.value; renderImportPreview(); });
+    label.appendChild(span); label.appendChild(sel);
+    elImportMapping.appendChild(label);
+  });
+}
+
+const IMPORT_PREVIEW_LIMIT = 500;
+
+function renderImportPreview() {
+  importState.preview = buildImportPreview();
+  const tbody = elImportPreview.querySelector('tbody');
+  tbody.innerHTML = '';
+  importState.preview.slice(0, IMPORT_PREVIEW_LIMIT).forEach(p => {
+    const tr = document.createElement('tr');
+    tr.className = p.errors.length ? 'import-error' : p.duplicate ? 'import-duplicate' : '';
+    const tdCheck = document.createElement('td');
+    const check = document.createElement('input'); check.type = 'checkbox';
+    check.checked = p.include;
+    check.disabled = p.errors.length > 0;
+    check.addEventListener('change', () => { p.include = check.checked; renderImportSummary(); });
+    tdCheck.appendChild(check);
+    const cells = [
+      String(p.index + 1),
+      p.entry.name,
+      p.entry.brand || '',
+      p.entry.kcal100 ?? '',
+      p.entry.protein100 ?? '',
+      p.entry.pricePerKg ?? '',
+      p.errors.length ? p.errors.join('; ') : p.duplicate ? t('Duplicate: {reason}', { reason: p.duplicate }) : t('OK'),
+    ];
+    tr.appendChild(tdCheck);
+    cells.forEach(c => { const td = document.createElement('td'); td.textContent = c; tr.appendChild(td); });
+    tbody.appendChild(tr);
+  });
+  renderImportSummary();
+}
+
+function renderImportSummary() {
+  const p = importState.preview;
+  const included = p.filter(x => x.include).length;
+  const errors = p.filter(x => x.errors.length).length;
+  const dups = p.filter(x => !x.errors.length && x.duplicate).length;
+  elImportSummary.textContent = t('{count} row(s): {included} selected, {duplicates} duplicate(s), {errors} with errors', { count: p.length, included, duplicates: dups, errors }) +
+    (p.length > IMPORT_PREVIEW_LIMIT ? ` ${t('(showing first {count})', { count: IMPORT_PREVIEW_LIMIT })}` : '');
+  elImportCommit.textContent = t('Import {count}', { count: included });
+  elImportCommit.disabled = !included;
+}
+
+function commitIngredientImport() {
+  const entries = importState.preview.filter(p => p.include && !p.errors.length).map(p => p.entry);
+  if (!entries.length) return;
+  state.ingredients.push(...entries);
+  commitState('Import ingredients', { undoToast: true });
+  elImportDialog.close();
+  importState = null;
+  renderIngredients();
+  refreshMealIngredientOptions();
+  alert(t('Imported {count} ingredient(s).', { count: entries.length }));
+}
 
 // ---------- Meals UI ----------
 const elMealName = document.getElementById('meal-name');
+const elMealIsRecipe = document.getElementById('meal-is-recipe');
+const elMealCookedGrams = document.getElementById('meal-cooked-grams');
+const elMealServings = document.getElementById('meal-servings');
 const elMealItems = document.getElementById('meal-items');
 const elMealList = document.getElementById('meal-list');
 const elTotalKcal = document.getElementById('total-kcal');
 const elTotalProtein = document.getElementById('total-protein');
 const elTotalCost = document.getElementById('total-cost');
+const elMealTargets = document.getElementById('meal-targets');
+const elMealTargetsSummary = document.getElementById('meal-targets-summary');
+let mealTargetInputs = null; // from buildRangeInputs; each row also gets a status cell
 
 document.getElementById('btn-add-meal-item').addEventListener('click', () => addMealItemRow());
 document.getElementById('btn-new-meal').addEventListener('click', () => newMeal());
 document.getElementById('btn-save-meal').addEventListener('click', () => saveMeal());
 
 let currentMealId = null; // null means unsaved/new
+renderMealTargets(null);
 
-function refreshMealIngredientOptions() {
-  const options = state.ingredients
-    .slice()
+elMealIsRecipe.addEventListener('change', () => {
+  elMealCookedGrams.disabled = elMealServings.disabled = !elMealIsRecipe.checked;
+});
+
+// Replaces sel's options with a placeholder and list. Archived entries are only listed when already
+// selected, so existing rows keep their value.
+function fillOptions(sel, list, selectedId, placeholder, labelOf) {
+  sel.replaceChildren(new Option(placeholder, ''));
+  list
+    .filter(x => !x.archived || x.id === selectedId)
     .sort((a,b) => a.name.localeCompare(b.name))
-    .map(ing => ({ value: ing.id, label: ing.name + (ing.brand ? ` — ${ing.brand}` : '') }));
-  elMealItems.querySelectorAll('select.mi-ingredient').forEach(sel => {
+    .forEach(x => sel.appendChild(new Option(x.archived ? t('{name} (archived)', { name: labelOf(x) }) : labelOf(x), x.id)));
+}
+
+// Ingredients, then recipes (as 'recipe:<id>' values) in their own group
+function fillIngredientOptions(sel, selectedValue) {
+  fillOptions(sel, state.ingredients, selectedValue, t('Select ingredient...'), ing => ing.name + (ing.brand ? ` — ${ing.brand}` : ''));
+  const recipes = state.meals
+    .filter(m => m.recipe && (!m.archived || `recipe:${m.id}` === selectedValue))
+    .sort((a,b) => a.name.localeCompare(b.name));
+  if (!recipes.length) return;
+  const group = document.createElement('optgroup');
+  group.label = t('Recipes');
+  recipes.forEach(m => group.appendChild(new Option(m.archived ? t('{name} (archived)', { name: m.name }) : m.name, `recipe:${m.id}`)));
+  sel.appendChild(group);
+}
+
+function fillMealOptions(sel, selectedId) {
+  fillOptions(sel, state.meals, selectedId, t('Select meal...'), meal => meal.name);
+}
+
+function refreshMealIngredientOptions() {
+  elMealItems.querySelectorAll('.meal-item').forEach(row => {
+    const sel = row.querySelector('select.mi-ingredient');
     const selected = sel.value;
-    sel.innerHTML = '<option value="">Select ingredient...</option>' + options.map(o => `<option value="${o.value}">${o.label}</option>`).join('');
-    if (options.some(o => o.value === selected)) sel.value = selected;
+    fillIngredientOptions(sel, selected);
+    if (getSourceByValue(selected)) sel.value = selected;
+    row.querySelector('.mi-picker').value = pickerLabel(sel);
+    const mode = row.querySelector('.mi-mode');
+    fillUnitSelect(mode, getSourceByValue(sel.value), mode.value);
   });
 }
 
@@ -249,435 +2035,2189 @@ function addMealItemRow(item = null) {
   const btnRemove = node.querySelector('.mi-remove');
 
   // Populate ingredient options
-  const options = state.ingredients
-    .slice()
-    .sort((a,b) => a.name.localeCompare(b.name))
-    .map(ing => ({ value: ing.id, label: ing.name + (ing.brand ? ` — ${ing.brand}` : '') }));
-  selIngredient.innerHTML = '<option value="">Select ingredient...</option>' + options.map(o => `<option value="${o.value}">${o.label}</option>`).join('');
+  fillIngredientOptions(selIngredient, item ? sourceValue(item) : '');
 
   if (item) {
-    selIngredient.value = item.ingredientId || '';
-    selMode.value = item.mode || 'grams';
-    inputAmount.value = item.amount ?? '';
+    selIngredient.value = sourceValue(item);
+    inputAmount.value = fmtInput(item.amount);
   }
+  attachPicker(selIngredient, node.querySelector('.mi-picker'), node.querySelector('.picker-list'), v => {
+    const src = getSourceByValue(v);
+    return src?.recipe ? 'recipe' : src ? ingredientSearchText(src) : '';
+  });
+
+  // Only units the ingredient can convert are offered; anything else falls back to the default weight unit
+  const initIng = getSourceByValue(selIngredient.value);
+  fillUnitSelect(selMode, initIng, item && initIng ? unitValue(initIng, item) : (item?.mode || defaultWeightUnit()));
 
-  // If initial mode is portion but ingredient lacks portion info, fallback to grams
-  const initIng = getIngredient(selIngredient.value);
-  if (selMode.value === 'portion' && (!initIng?.portionName || !initIng?.portionGrams)) {
-    selMode.value = 'grams';
+  function rowTotals() {
+    const ing = getSourceByValue(selIngredient.value);
+    const amount = parseDecimal(inputAmount.value);
+    return ing && amount >= 0 ? computeItem(ing, { ...unitFromValue(selMode.value), amount }) : emptyTotals();
   }
 
   function recalc() {
-    const id = selIngredient.value;
-    const ing = getIngredient(id);
-    const mode = selMode.value;
-    const amount = parseFloat(inputAmount.value);
-    if (!ing || !(amount >= 0)) { stats.textContent = '0 kcal • 0 g protein • cost 0.00€'; updateTotals(); return; }
-    let res;
-    if (mode === 'grams') res = computeFrom100g(ing, amount);
-    else res = computeFromPortion(ing, amount || 0);
-    stats.textContent = `${res.kcal} kcal • ${res.protein} g protein • cost ${fmtEUR(res.cost)}`;
+    renderStats(stats, rowTotals());
     updateTotals();
   }
 
   selIngredient.addEventListener('change', () => {
-    // If mode is portion but ingredient has no portion, force grams
-    const ing = getIngredient(selIngredient.value);
-    if (selMode.value === 'portion' && (!ing?.portionName || !ing?.portionGrams)) {
-      selMode.value = 'grams';
-    }
-    recalc();
-  });
-  selMode.addEventListener('change', () => {
-    const ing = getIngredient(selIngredient.value);
-    if (selMode.value === 'portion' && (!ing?.portionName || !ing?.portionGrams)) {
-      alert('Selected ingredient has no portion defined. Using grams instead.');
-      selMode.value = 'grams';
-    }
+    fillUnitSelect(selMode, getSourceByValue(selIngredient.value), selMode.value);
     recalc();
   });
+  selMode.addEventListener('change', recalc);
   inputAmount.addEventListener('input', recalc);
   btnRemove.addEventListener('click', () => { node.remove(); updateTotals(); });
 
   elMealItems.appendChild(node);
   // Calculate initial stats for loaded items
-  (function initCalc(){
-    const ing = getIngredient(selIngredient.value);
-    if (!ing) { stats.textContent = '0 kcal • 0 g protein • cost 0.00€'; return; }
-    const amt = parseFloat(inputAmount.value);
-    if (!(amt >= 0)) { stats.textContent = '0 kcal • 0 g protein • cost 0.00€'; return; }
-    const res = selMode.value === 'grams' ? computeFrom100g(ing, amt) : computeFromPortion(ing, amt || 0);
-    stats.textContent = `${res.kcal} kcal • ${res.protein} g protein • cost ${fmtEUR(res.cost)}`;
-  })();
+  renderStats(stats, rowTotals());
 }
 
 function getMealFromComposer() {
-  const name = elMealName.value.trim() || 'Untitled meal';
+  const name = elMealName.value.trim() || t('Untitled meal');
   const items = Array.from(elMealItems.querySelectorAll('.meal-item')).map(row => {
     return {
-      ingredientId: row.querySelector('.mi-ingredient').value || null,
-      mode: row.querySelector('.mi-mode').value,
-      amount: parseFloat(row.querySelector('.mi-amount').value) || 0,
+      ...sourceFromValue(row.querySelector('.mi-ingredient').value),
+      ...unitFromValue(row.querySelector('.mi-mode').value),
+      amount: parseDecimal(row.querySelector('.mi-amount').value) || 0,
     };
-  }).filter(it => it.ingredientId);
-  return { id: currentMealId || uid('meal'), name, items };
+  }).filter(it => itemSourceId(it));
+  const recipe = elMealIsRecipe.checked ? {
+    cookedGrams: parseDecimal(elMealCookedGrams.value) || null,
+    servings: parseDecimal(elMealServings.value) || null,
+  } : null;
+  const targets = readRangeInputs(mealTargetInputs);
+  return { id: currentMealId || uid('meal'), name, items, recipe, ...(Object.keys(targets).length ? { targets } : {}) };
+}
+
+function renderMealTargets(targets) {
+  mealTargetInputs = buildRangeInputs(elMealTargets, targets || {}, updateTotals);
+  Object.values(mealTargetInputs).forEach(t => {
+    t.status = document.createElement('td');
+    t.status.className = 'delta';
+    t.row.appendChild(t.status);
+  });
+}
+
+function renderRecipeOptions(recipe) {
+  elMealIsRecipe.checked = !!recipe;
+  elMealCookedGrams.value = fmtInput(recipe?.cookedGrams);
+  elMealServings.value = fmtInput(recipe?.servings);
+  elMealCookedGrams.disabled = elMealServings.disabled = !recipe;
+}
+
+function updateTotals() {
+  const items = Array.from(elMealItems.querySelectorAll('.meal-item'));
+  const totals = emptyTotals();
+  for (const row of items) {
+    const ing = getSourceByValue(row.querySelector('.mi-ingredient').value);
+    if (!ing) continue;
+    const amount = parseDecimal(row.querySelector('.mi-amount').value);
+    if (!(amount >= 0)) continue;
+    addTotals(totals, computeItem(ing, { ...unitFromValue(row.querySelector('.mi-mode').value), amount }));
+  }
+  const sums = roundTotals(totals);
+  elTotalKcal.textContent = sums.kcal;
+  elTotalProtein.textContent = sums.protein;
+  if (elTotalCost) elTotalCost.textContent = fmtMoney(sums.cost);
+  MACROS.forEach(n => {
+    const el = document.getElementById(`total-${n.slug}`);
+    if (el) el.textContent = sums[n.key];
+  });
+  // Per-meal targets: status per nutrient and a count in the summary line
+  const targets = readRangeInputs(mealTargetInputs);
+  NUTRIENTS.forEach(n => {
+    const r = rangeStatus(sums[n.key], targets[n.key]);
+    const cell = mealTargetInputs[n.key].status;
+    cell.className = 'delta' + (r ? ` ${r.status}` : '');
+    cell.textContent = !r ? '' : r.status === 'hit' ? '✓' : fmtDelta(r.delta);
+  });
+  const { checked, misses } = goalMisses(sums, targets);
+  elMealTargetsSummary.textContent = !checked ? t('none set') : misses.length ? t('missed: {misses}', { misses: misses.join(', ') }) : t('all {count} hit', { count: checked });
+  elMealTargetsSummary.className = 'smallmuted' + (checked ? (misses.length ? ' miss' : ' hit') : '');
+}
+
+function saveMeal() {
+  const meal = getMealFromComposer();
+  if (hasRecipeCycle(meal)) {
+    alert(t('This meal uses a recipe that already contains this meal (directly or through other recipes). Remove it before saving.'));
+    return;
+  }
+  if (!confirmRemoteOverwrite(currentMealId)) return;
+  const idx = state.meals.findIndex(m => m.id === meal.id);
+  if (idx === -1) state.meals.push(meal); else state.meals[idx] = meal;
+  commitState('Save meal');
+  currentMealId = meal.id;
+  renderMealsList();
+  refreshMealIngredientOptions();
+  refreshDayMealOptions();
+  renderDaysList();
+  updateDayTotals();
+  renderDiary();
+}
+
+function newMeal() {
+  currentMealId = null;
+  elMealName.value = '';
+  renderRecipeOptions(null);
+  renderMealTargets(null);
+  elMealItems.innerHTML = '';
+  addMealItemRow();
+  updateTotals();
+}
+
+function loadMeal(id) {
+  const meal = state.meals.find(m => m.id === id);
+  if (!meal) return;
+  currentMealId = meal.id;
+  remoteEdits.delete(meal.id);
+  elMealName.value = meal.name;
+  renderRecipeOptions(meal.recipe);
+  renderMealTargets(meal.targets);
+  elMealItems.innerHTML = '';
+  meal.items.forEach(it => addMealItemRow(it));
+  updateTotals();
+}
+
+// Archived rather than removed: day plans and the diary keep referencing it
+function deleteMeal(id) {
+  const meal = getMeal(id);
+  if (!meal) return;
+  meal.archived = true;
+  meal.archivedAt = new Date().toISOString();
+  commitState(t('Deleted meal "{name}"', { name: meal.name }), { undoToast: true });
+  if (currentMealId === id) newMeal();
+  renderMealsList();
+  refreshDayMealOptions();
+  renderDaysList();
+  updateDayTotals();
+  renderDiary();
+  renderArchive();
+}
+
+function renderMealsList() {
+  elMealList.innerHTML = '';
+  const frag = document.createDocumentFragment();
+  activeMeals().forEach(meal => {
+    const div = document.createElement('div');
+    div.className = 'card';
+    const a = document.createElement('div');
+    a.className = 'card-main';
+    const title = document.createElement('div');
+    title.className = 'title';
+    title.textContent = meal.name;
+    const subtitle = document.createElement('div');
+    subtitle.className = 'subtitle';
+    renderStats(subtitle, sumMeal(meal));
+    a.appendChild(title); a.appendChild(subtitle);
+    if (meal.recipe) {
+      const stats = document.createElement('div');
+      stats.className = 'stats';
+      const ing = recipeAsIngredient(meal);
+      const serving = ingredientPortions(ing)[0];
+      const per = computeFrom100g(ing, serving ? serving.grams : 100);
+      stats.textContent = [
+        t('Recipe • {weight} cooked', { weight: fmtWeight(recipeYieldGrams(meal)) }),
+        serving ? t('{servings} servings of {weight}:', { servings: meal.recipe.servings, weight: fmtWeight(serving.grams) }) : t('per 100 g:'),
+      ].join(' • ') + ' ' + t('{kcal} kcal • {protein} g protein • {money}', { kcal: per.kcal, protein: per.protein, money: fmtMoney(per.cost) });
+      a.appendChild(stats);
+    }
+    const actions = document.createElement('div');
+    actions.className = 'card-actions';
+    const btnLoad = document.createElement('button');
+    btnLoad.className = 'ghost'; btnLoad.textContent = t('Open');
+    btnLoad.addEventListener('click', () => loadMeal(meal.id));
+    const btnDel = document.createElement('button');
+    btnDel.className = 'danger'; btnDel.textContent = t('Delete');
+    btnDel.addEventListener('click', () => deleteMeal(meal.id));
+    actions.appendChild(btnLoad); actions.appendChild(btnDel);
+    div.appendChild(a); div.appendChild(actions);
+    frag.appendChild(div);
+  });
+  elMealList.appendChild(frag);
+}
+
+// ---------- Days UI ----------
+const elDayName = document.getElementById('day-name');
+const elDayItems = document.getElementById('day-items');
+const elDayList = document.getElementById('day-list');
+const elDayTotalKcal = document.getElementById('day-total-kcal');
+const elDayTotalProtein = document.getElementById('day-total-protein');
+const elDayTotalCost = document.getElementById('day-total-cost');
+const elDayGoals = document.getElementById('day-goals');
+const elDayGoalProfile = document.getElementById('day-goal-profile');
+elDayGoalProfile.addEventListener('change', () => updateDayTotals());
+
+document.getElementById('btn-add-day-item')?.addEventListener('click', () => addDayItemRow());
+document.getElementById('btn-new-day')?.addEventListener('click', () => newDay());
+document.getElementById('btn-save-day')?.addEventListener('click', () => saveDay());
+
+let currentDayId = null;
+
+function refreshDayMealOptions() {
+  // Day plan and diary rows share the same markup; their buttons follow the language too
+  document.querySelectorAll('select.di-meal').forEach(sel => {
+    const selected = sel.value;
+    fillMealOptions(sel, selected);
+    if (getMeal(selected)) sel.value = selected;
+  });
+  document.querySelectorAll('.di-adjust').forEach(b => { b.textContent = t('Adjust'); b.title = t('Override ingredient amounts for this day'); });
+}
+
+// Rows are shared by the day plan composer and the diary; onChange refreshes the owner's totals
+function addDayItemRow(item = null, container = elDayItems, onChange = updateDayTotals) {
+  const row = document.createElement('div');
+  row.className = 'meal-item';
+  const sel = document.createElement('select'); sel.className = 'di-meal';
+  const servings = document.createElement('input'); servings.className = 'di-servings';
+  servings.inputMode = 'decimal'; servings.value = fmtInput(item?.servings ?? 1); servings.title = t('Servings');
+  const stats = document.createElement('div'); stats.className = 'mi-stats'; renderStats(stats, emptyTotals());
+  const adjust = document.createElement('button'); adjust.className = 'ghost di-adjust'; adjust.textContent = t('Adjust'); adjust.title = t('Override ingredient amounts for this day');
+  const remove = document.createElement('button'); remove.className = 'ghost mi-remove'; remove.textContent = '✕'; remove.title = t('Remove');
+  const overridesPanel = document.createElement('div'); overridesPanel.className = 'di-overrides hidden';
+  const priceNote = document.createElement('div'); priceNote.className = 'di-note smallmuted hidden';
+  const staleNote = document.createElement('div'); staleNote.className = 'di-note smallmuted hidden';
+  const staleText = document.createElement('span'); staleText.textContent = t('Meal changed since logged.');
+  const btnUpdate = document.createElement('button'); btnUpdate.className = 'ghost'; btnUpdate.textContent = t('Update');
+  staleNote.appendChild(staleText); staleNote.appendChild(btnUpdate);
+  fillMealOptions(sel, item?.mealId);
+  if (item) sel.value = item.mealId || '';
+  if (item?.snapshot) rowSnapshots.set(row, item.snapshot);
+
+  // One amount input per ingredient of the meal; empty means "as saved in the meal"
+  function buildOverrides(overrides = {}) {
+    overridesPanel.innerHTML = '';
+    const meal = rowSnapshots.get(row) || getMeal(sel.value);
+    if (!meal) return;
+    const seen = new Set();
+    meal.items.forEach(it => {
+      const id = itemSourceId(it);
+      if (seen.has(id)) return;
+      seen.add(id);
+      const ing = resolveItemSource(it);
+      if (!ing) return;
+      const label = document.createElement('label');
+      const name = document.createElement('span');
+      name.textContent = `${ing.name} (${unitLabel(ing, it)})`;
+      const input = document.createElement('input');
+      input.inputMode = 'decimal';
+      input.placeholder = fmtInput(meal.items.filter(x => itemSourceId(x) === id).reduce((a, x) => a + (x.amount || 0), 0));
+      input.dataset.sourceId = id;
+      input.value = fmtInput(overrides[id]);
+      input.addEventListener('input', recalc);
+      label.appendChild(name); label.appendChild(input);
+      overridesPanel.appendChild(label);
+    });
+  }
+
+  function recalc() {
+    const current = readDayItemRow(row);
+    adjust.classList.toggle('active', !!current.overrides);
+    staleNote.classList.toggle('hidden', !isSnapshotStale(current));
+    const sums = current.mealId ? sumDayItem(current) : null;
+    renderStats(stats, sums || emptyTotals());
+    priceNote.textContent = sums && current.snapshot ? fmtCostChange(sums.cost, costAtTodayPrices(current)) : '';
+    priceNote.classList.toggle('hidden', !priceNote.textContent);
+    onChange();
+  }
+
+  sel.addEventListener('change', () => { rowSnapshots.delete(row); buildOverrides(); recalc(); });
+  // Re-log against the current meal; onChange takes a fresh snapshot
+  btnUpdate.addEventListener('click', () => { rowSnapshots.delete(row); buildOverrides(readDayItemRow(row).overrides); recalc(); });
+  servings.addEventListener('input', recalc);
+  adjust.addEventListener('click', () => overridesPanel.classList.toggle('hidden'));
+  remove.addEventListener('click', () => { row.remove(); onChange(); });
+
+  // Layout similar to meal-item grid: [select][servings][stats][adjust][remove], overrides below
+  row.style.gridTemplateColumns = '3fr 1fr 3fr auto auto';
+  row.appendChild(sel);
+  row.appendChild(servings);
+  row.appendChild(stats);
+  row.appendChild(adjust);
+  row.appendChild(remove);
+  row.appendChild(overridesPanel);
+  row.appendChild(staleNote);
+  row.appendChild(priceNote);
+  container.appendChild(row);
+
+  buildOverrides(item?.overrides || {});
+  if (item?.overrides && Object.keys(item.overrides).length) overridesPanel.classList.remove('hidden');
+  recalc();
+}
+
+// Snapshot held by each diary row (day plan rows never get one)
+const rowSnapshots = new WeakMap();
+
+function readDayItemRow(row) {
+  const it = { mealId: row.querySelector('select.di-meal').value || null };
+  const servings = parseDecimal(row.querySelector('.di-servings').value);
+  if (servings >= 0 && servings !== 1) it.servings = servings;
+  const overrides = {};
+  row.querySelectorAll('.di-overrides input').forEach(input => {
+    const v = parseDecimal(input.value);
+    if (v >= 0) overrides[input.dataset.sourceId] = v;
+  });
+  if (Object.keys(overrides).length) it.overrides = overrides;
+  if (rowSnapshots.has(row)) it.snapshot = rowSnapshots.get(row);
+  return it;
+}
+
+function getDayItemsFromRows(container) {
+  return Array.from(container.querySelectorAll('.meal-item')).map(readDayItemRow).filter(it => it.mealId);
+}
+
+function getDayFromComposer() {
+  const name = elDayName.value.trim() || t('Untitled day');
+  const day = { id: currentDayId || uid('day'), name, items: getDayItemsFromRows(elDayItems) };
+  if (elDayGoalProfile.value) day.goalProfileId = elDayGoalProfile.value;
+  return day;
+}
+
+function updateDayTotals() {
+  const sums = sumDay({ items: getDayItemsFromRows(elDayItems) });
+  elDayTotalKcal.textContent = sums.kcal;
+  elDayTotalProtein.textContent = sums.protein;
+  if (elDayTotalCost) elDayTotalCost.textContent = fmtMoney(sums.cost);
+  renderGoalTable(elDayGoals, sums, getGoalProfile(elDayGoalProfile.value)?.goals);
+}
+
+function saveDay() {
+  const day = getDayFromComposer();
+  if (!confirmRemoteOverwrite(currentDayId)) return;
+  const idx = state.days.findIndex(d => d.id === day.id);
+  if (idx === -1) state.days.push(day); else state.days[idx] = day;
+  commitState('Save day');
+  currentDayId = day.id;
+  renderDaysList();
+  refreshDiaryPlanOptions();
+  renderShopping();
+}
+
+function newDay() {
+  currentDayId = null;
+  if (elDayName) elDayName.value = '';
+  fillGoalProfileSelect(elDayGoalProfile);
+  elDayItems.innerHTML = '';
+  addDayItemRow();
+  updateDayTotals();
+}
+
+function loadDay(id) {
+  const day = state.days.find(d => d.id === id);
+  if (!day) return;
+  currentDayId = day.id;
+  remoteEdits.delete(day.id);
+  if (elDayName) elDayName.value = day.name || '';
+  fillGoalProfileSelect(elDayGoalProfile, day.goalProfileId);
+  elDayItems.innerHTML = '';
+  day.items.forEach(it => addDayItemRow(it));
+  updateDayTotals();
+}
+
+function deleteDay(id) {
+  const day = state.days.find(d => d.id === id);
+  if (!day) return;
+  state.days = state.days.filter(d => d.id !== id);
+  delete state.shopping.days[id];
+  commitState(t('Deleted day "{name}"', { name: day.name }), { undoToast: true });
+  if (currentDayId === id) newDay();
+  renderDaysList();
+  refreshDiaryPlanOptions();
+  renderShopping();
+}
+
+function snapshotMeal(meal) {
+  return {
+    name: meal.name,
+    loggedAt: new Date().toISOString(),
+    items: meal.items
+      .filter(it => resolveItemSource(it))
+      .map(it => ({ ...it, ingredient: frozenIngredient(resolveItemSource(it)) })),
+  };
+}
+
+// Freezes diary items that were logged before snapshots existed (or imported without one)
+function snapshotDiary(diary) {
+  let changed = false;
+  diary.forEach(e => e.items.forEach(it => {
+    const meal = getMeal(it.mealId);
+    if (!it.snapshot && meal) { it.snapshot = snapshotMeal(meal); changed = true; }
+  }));
+  return changed;
+}
+
+// True when the live meal (or its ingredients) no longer adds up to what was logged
+function isSnapshotStale(it) {
+  const meal = getMeal(it.mealId);
+  if (!it.snapshot || !meal) return false;
+  const logged = sumMeal(mealWithOverrides(it.snapshot, it.overrides));
+  const live = sumMeal(mealWithOverrides(meal, it.overrides));
+  return JSON.stringify(logged) !== JSON.stringify(live);
+}
+
+// A logged item's cost with the amounts it was logged with, but today's prices
+function costAtTodayPrices(it) {
+  const meal = it.snapshot || getMeal(it.mealId);
+  if (!meal) return 0;
+  const cost = mealWithOverrides(meal, it.overrides).items.reduce((sum, item) => {
+    const frozen = resolveItemSource(item);
+    if (!frozen) return sum;
+    const live = resolveItemSource({ ...item, ingredient: null }) || frozen;
+    return sum + computeFrom100g({ pricePerKg: live.pricePerKg }, itemGrams(frozen, item)).cost;
+  }, 0);
+  return round2(cost * (it.servings ?? 1));
+}
+
+function dayCostAtTodayPrices(day) {
+  return round2(day.items.reduce((sum, it) => sum + costAtTodayPrices(it), 0));
+}
+
+// "Cost when logged 3.20€ • at today's prices 3.45€ (+8%)", or '' when prices did not move
+function fmtCostChange(logged, today) {
+  if (round2(logged) === round2(today)) return '';
+  const pct = logged ? ` (${fmtDelta(Math.round((today - logged) / logged * 100))}%)` : '';
+  return t('Cost when logged {logged} • at today\'s prices {today}{change}', { logged: fmtMoney(logged), today: fmtMoney(today), change: pct });
+}
+
+// "Training: ✓ all 4 goals hit" or "Rest: missed kcal +120, protein -8"
+function renderGoalHits(el, sums, goalProfileId) {
+  const profile = getGoalProfile(goalProfileId);
+  const { checked, misses } = goalMisses(sums, profile?.goals);
+  el.className = 'stats goal-hits' + (checked ? (misses.length ? ' miss' : ' hit') : '');
+  el.textContent = !profile || !checked ? '' : `${profile.name}: ${misses.length ? t('missed {misses}', { misses: misses.join(', ') }) : t('✓ all {count} goals hit', { count: checked })}`;
+}
+
+function renderDaysList() {
+  if (!elDayList) return;
+  elDayList.innerHTML = '';
+  const frag = document.createDocumentFragment();
+  state.days
+    .slice()
+    .sort((a,b) => (a.name || '').localeCompare(b.name || ''))
+    .forEach(day => {
+      const div = document.createElement('div');
+      div.className = 'card';
+      const main = document.createElement('div'); main.className = 'card-main';
+      const title = document.createElement('div'); title.className = 'title'; title.textContent = day.name || t('(untitled)');
+      const subtitle = document.createElement('div'); subtitle.className = 'subtitle';
+      const sums = sumDay(day);
+      renderStats(subtitle, sums);
+      const stats = document.createElement('div');
+      renderGoalHits(stats, sums, day.goalProfileId);
+      main.appendChild(title); main.appendChild(subtitle); main.appendChild(stats);
+      const actions = document.createElement('div'); actions.className = 'card-actions';
+      const btnOpen = document.createElement('button'); btnOpen.className = 'ghost'; btnOpen.textContent = t('Open'); btnOpen.addEventListener('click', () => loadDay(day.id));
+      const btnDel = document.createElement('button'); btnDel.className = 'danger'; btnDel.textContent = t('Delete'); btnDel.addEventListener('click', () => deleteDay(day.id));
+      actions.appendChild(btnOpen); actions.appendChild(btnDel);
+      div.appendChild(main); div.appendChild(actions);
+      frag.appendChild(div);
+    });
+  elDayList.appendChild(frag);
+}
+
+// ---------- Fit to goal ----------
+// Finds row amounts whose totals hit kcal/protein targets. Each variable is one composer row:
+// { per: totals for one unit, current, min, max, locked, step, scale }. The objective is the
+// squared relative miss of each target (weighted heavily) plus either the squared deviation from
+// the current amounts or the cost; box-bounded coordinate descent solves it exactly enough.
+// Rows with a step (whole portions, quarter servings) are rounded and fixed, then the rest re-solved.
+const FIT_TARGET_WEIGHT = 1000;
+const FIT_SWEEPS = 400;
+
+function solveFit(vars, targets, objective, fixed = new Map()) {
+  const keys = ['kcal', 'protein'].filter(k => targets[k] > 0);
+  const x = vars.map((v, i) => fixed.has(i) ? fixed.get(i) : v.locked ? v.current : Math.min(v.max, Math.max(v.min, v.current)));
+  const free = vars.map((v, i) => !v.locked && !fixed.has(i));
+  const totals = Object.fromEntries(keys.map(k => [k, vars.reduce((s, v, i) => s + v.per[k] * x[i], 0)]));
+  const costScale = Math.max(vars.reduce((s, v) => s + v.per.cost * Math.max(v.current, 0), 0), 0.01);
+  const devWeight = objective === 'cost' ? 0.01 : 1;
+  for (let sweep = 0; sweep < FIT_SWEEPS; sweep++) {
+    let moved = 0;
+    vars.forEach((v, i) => {
+      if (!free[i]) return;
+      const s = Math.max(Math.abs(v.current), v.scale);
+      let a = devWeight / (s * s);
+      let b = -2 * devWeight * v.current / (s * s) + (objective === 'cost' ? v.per.cost / costScale : 0);
+      keys.forEach(k => {
+        const t = targets[k], c = v.per[k] / t;
+        const rest = (totals[k] - v.per[k] * x[i] - t) / t;
+        a += FIT_TARGET_WEIGHT * c * c;
+        b += 2 * FIT_TARGET_WEIGHT * c * rest;
+      });
+      const next = Math.min(v.max, Math.max(v.min, -b / (2 * a)));
+      keys.forEach(k => { totals[k] += v.per[k] * (next - x[i]); });
+      moved = Math.max(moved, Math.abs(next - x[i]) / s);
+      x[i] = next;
+    });
+    if (moved < 1e-7) break;
+  }
+  return x;
+}
+
+// What the other rows are rounded to in the preview, per unit: whole grams and ml, sensible steps for larger units
+const FIT_ROUNDING = { grams: 1, ml: 1, l: 0.05, oz: 0.1, lb: 0.05, floz: 0.1, cup: 0.25 };
+
+// Returns the amounts to preview: stepped rows rounded one at a time, the others to their unit's rounding
+function fitAmounts(vars, targets, objective) {
+  const fixed = new Map();
+  let x = solveFit(vars, targets, objective, fixed);
+  const stepped = vars.map((v, i) => i).filter(i => vars[i].step && !vars[i].locked);
+  stepped.forEach(i => {
+    const v = vars[i];
+    fixed.set(i, Math.min(v.max, Math.max(v.min, Math.round(x[i] / v.step) * v.step)));
+    x = solveFit(vars, targets, objective, fixed);
+  });
+  return x.map((val, i) => {
+    const v = vars[i];
+    if (v.locked) return val;
+    if (v.step) return fixed.get(i);
+    const r = v.round || 1;
+    return round2(Math.min(v.max, Math.max(v.min, Math.round(val / r) * r)));
+  });
+}
+
+const elFitDialog = document.getElementById('fit-dialog');
+const elFitTargetKcal = document.getElementById('fit-target-kcal');
+const elFitTargetProtein = document.getElementById('fit-target-protein');
+const elFitObjective = document.getElementById('fit-objective');
+const elFitRows = document.querySelector('#fit-rows tbody');
+const elFitSummary = document.getElementById('fit-summary');
+const elFitApply = document.getElementById('btn-fit-apply');
+const fitRowOptions = new WeakMap(); // composer row -> { min, max, locked } kept between openings
+let fitSession = null; // { vars, rows, inputs, result }
+
+// Totals for one unit, measured over 1000 units so per-gram values survive the rounding
+function perUnit(totalsFor1000) {
+  return Object.fromEntries(Object.entries(totalsFor1000).map(([k, v]) => [k, v / 1000]));
+}
+
+// Variables for the meal composer: one per ingredient row, in grams or portions
+function mealFitVars() {
+  return Array.from(elMealItems.querySelectorAll('.meal-item')).map(row => {
+    const ing = getSourceByValue(row.querySelector('.mi-ingredient').value);
+    if (!ing) return null;
+    const unit = unitFromValue(row.querySelector('.mi-mode').value);
+    const portion = unit.mode === 'portion';
+    const input = row.querySelector('.mi-amount');
+    return {
+      row, input, label: ing.name,
+      unit: unitLabel(ing, unit),
+      per: perUnit(computeItem(ing, { ...unit, amount: 1000 })),
+      current: parseDecimal(input.value) || 0,
+      step: portion ? 1 : 0,
+      round: FIT_ROUNDING[unit.mode] || 1,
+      scale: portion ? 1 : 50 / (itemGrams(ing, { ...unit, amount: 1 }) || 1),
+    };
+  }).filter(Boolean);
+}
+
+// Variables for the day composer: the servings of each meal row
+function dayFitVars() {
+  return Array.from(elDayItems.querySelectorAll('.meal-item')).map(row => {
+    const it = readDayItemRow(row);
+    const totals = it.mealId ? sumDayItem({ ...it, servings: 1000 }) : null;
+    if (!totals) return null;
+    const input = row.querySelector('.di-servings');
+    return {
+      row, input, label: (it.snapshot || getMeal(it.mealId)).name, unit: t('serving(s)'), per: perUnit(totals),
+      current: parseDecimal(input.value) || 0,
+      step: 0.25,
+      scale: 1,
+    };
+  }).filter(Boolean);
+}
+
+function openFitDialog(vars, goals = {}) {
+  if (!vars.length) { alert(t('Add some items first.')); return; }
+  elFitTargetKcal.value = fmtInput(rangeTarget(goals.kcal));
+  elFitTargetProtein.value = fmtInput(rangeTarget(goals.protein));
+  elFitRows.innerHTML = '';
+  const inputs = vars.map(v => {
+    const opts = fitRowOptions.get(v.row) || { min: 0, max: null, locked: false };
+    const tr = document.createElement('tr');
+    const name = document.createElement('td'); name.textContent = `${v.label} (${v.unit})`;
+    const current = document.createElement('td'); current.textContent = v.current;
+    const num = (value) => {
+      const input = document.createElement('input');
+      input.inputMode = 'decimal'; input.value = fmtInput(value);
+      const td = document.createElement('td'); td.appendChild(input);
+      return { td, input };
+    };
+    const min = num(opts.min), max = num(opts.max);
+    max.input.placeholder = t('no limit');
+    const lockTd = document.createElement('td');
+    const locked = document.createElement('input'); locked.type = 'checkbox'; locked.checked = opts.locked; locked.title = t('Keep this amount');
+    lockTd.appendChild(locked);
+    const result = document.createElement('td'); result.className = 'fit-result'; result.textContent = '—';
+    tr.append(name, current, min.td, max.td, lockTd, result);
+    elFitRows.appendChild(tr);
+    return { min: min.input, max: max.input, locked, result };
+  });
+  fitSession = { vars, inputs, result: null };
+  elFitSummary.textContent = t('Set targets and bounds, then Calculate to preview.');
+  elFitApply.disabled = true;
+  elFitDialog.showModal();
+}
+
+function fmtFitTotals(totals) {
+  return t('{kcal} kcal • {protein} g protein • {money}', { kcal: round1(totals.kcal), protein: round1(totals.protein), money: fmtMoney(totals.cost) });
+}
+
+function calculateFit() {
+  if (!fitSession) return;
+  const targets = { kcal: parseDecimal(elFitTargetKcal.value) || 0, protein: parseDecimal(elFitTargetProtein.value) || 0 };
+  if (!targets.kcal && !targets.protein) { alert(t('Set a calorie or protein target.')); return; }
+  const { vars, inputs } = fitSession;
+  for (const [i, v] of vars.entries()) {
+    const min = parseDecimal(inputs[i].min.value) || 0;
+    const max = inputs[i].max.value === '' ? Infinity : parseDecimal(inputs[i].max.value);
+    if (!(max >= min)) { alert(t('{name}: max must be at least min.', { name: v.label })); return; }
+    Object.assign(v, { min, max, locked: inputs[i].locked.checked });
+    fitRowOptions.set(v.row, { min, max: Number.isFinite(max) ? max : null, locked: v.locked });
+  }
+  const amounts = fitAmounts(vars, targets, elFitObjective.value);
+  const before = emptyTotals(), after = emptyTotals();
+  vars.forEach((v, i) => {
+    addTotals(before, scaleTotals(v.per, v.current));
+    addTotals(after, scaleTotals(v.per, amounts[i]));
+    inputs[i].result.textContent = round1(amounts[i]);
+    inputs[i].result.classList.toggle('changed', round1(amounts[i]) !== round1(v.current));
+  });
+  const misses = ['kcal', 'protein'].filter(k => targets[k] && Math.abs(after[k] - targets[k]) > targets[k] * 0.02);
+  const missed = misses.length === 2 ? "The calorie and protein targets can't be reached within these bounds; this is the closest."
+    : misses[0] === 'kcal' ? "The calorie target can't be reached within these bounds; this is the closest."
+      : "The protein target can't be reached within these bounds; this is the closest.";
+  elFitSummary.textContent = [t('Now: {totals}', { totals: fmtFitTotals(before) }), t('Fitted: {totals}', { totals: fmtFitTotals(after) }),
+    ...(misses.length ? [t(missed)] : [])].join('\n');
+  fitSession.result = amounts;
+  elFitApply.disabled = false;
+}
+
+// Writes the previewed amounts into the composer; saving the meal or day stays up to the user
+function applyFit() {
+  if (!fitSession?.result) return;
+  fitSession.vars.forEach((v, i) => {
+    v.input.value = fmtInput(round1(fitSession.result[i]));
+    v.input.dispatchEvent(new Event('input'));
+  });
+  fitSession = null;
+  elFitDialog.close();
+}
+
+document.getElementById('btn-fit-meal').addEventListener('click', () => {
+  // The meal's own targets, else the default daily goals
+  const targets = readRangeInputs(mealTargetInputs);
+  openFitDialog(mealFitVars(), Object.keys(targets).length ? targets : getGoalProfile(null)?.goals);
+});
+document.getElementById('btn-fit-day').addEventListener('click', () => openFitDialog(dayFitVars(), getGoalProfile(elDayGoalProfile.value)?.goals));
+document.getElementById('btn-fit-calc').addEventListener('click', (e) => { e.preventDefault(); calculateFit(); });
+elFitApply.addEventListener('click', (e) => { e.preventDefault(); applyFit(); });
+document.getElementById('btn-fit-cancel').addEventListener('click', () => { fitSession = null; elFitDialog.close(); });
+
+// ---------- Diary UI ----------
+const elDiaryDate = document.getElementById('diary-date');
+const elDiaryItems = document.getElementById('diary-items');
+const elDiaryList = document.getElementById('diary-list');
+const elDiaryPlan = document.getElementById('diary-plan');
+const elDiaryTotalKcal = document.getElementById('diary-total-kcal');
+const elDiaryTotalProtein = document.getElementById('diary-total-protein');
+const elDiaryTotalCost = document.getElementById('diary-total-cost');
+const elDiaryCostToday = document.getElementById('diary-cost-today');
+const elDiaryGoals = document.getElementById('diary-goals');
+const elDiaryGoalProfile = document.getElementById('diary-goal-profile');
+elDiaryGoalProfile.addEventListener('change', () => onDiaryChange());
+
+let currentDiaryDate = toISODate(new Date());
+let hydratingDiary = false; // rows fire onChange while being built; don't write those back
+
+document.getElementById('btn-add-diary-item').addEventListener('click', () => addDayItemRow(null, elDiaryItems, onDiaryChange));
+document.getElementById('btn-diary-prev').addEventListener('click', () => openDiaryDate(shiftISODate(currentDiaryDate, -1)));
+document.getElementById('btn-diary-next').addEventListener('click', () => openDiaryDate(shiftISODate(currentDiaryDate, 1)));
+document.getElementById('btn-diary-today').addEventListener('click', () => openDiaryDate(toISODate(new Date())));
+document.getElementById('btn-diary-apply').addEventListener('click', () => applyPlanToDiary(elDiaryPlan.value));
+elDiaryDate.addEventListener('change', () => { if (isISODate(elDiaryDate.value)) openDiaryDate(elDiaryDate.value); });
+
+function getDiaryEntry(date) { return state.diary.find(e => e.date === date); }
+
+function openDiaryDate(date) {
+  currentDiaryDate = date;
+  renderDiary();
+}
+
+// Writes the rows of the open date back to state; empty dates are dropped from the diary
+function onDiaryChange() {
+  updateDiaryTotals();
+  if (hydratingDiary) return;
+  // Freeze newly logged rows against the meal as it is right now
+  elDiaryItems.querySelectorAll('.meal-item').forEach(row => {
+    const meal = getMeal(row.querySelector('select.di-meal').value);
+    if (meal && !rowSnapshots.has(row)) rowSnapshots.set(row, snapshotMeal(meal));
+  });
+  const items = getDayItemsFromRows(elDiaryItems);
+  let entry = getDiaryEntry(currentDiaryDate);
+  if (entry) entry.items = items;
+  else if (items.length) state.diary.push(entry = { id: uid('diary'), date: currentDiaryDate, items });
+  if (entry) {
+    if (elDiaryGoalProfile.value) entry.goalProfileId = elDiaryGoalProfile.value;
+    else delete entry.goalProfileId;
+  }
+  state.diary = state.diary.filter(e => e.items.length);
+  commitState('Edit diary');
+  renderDiaryList();
+}
+
+function updateDiaryTotals() {
+  const items = getDayItemsFromRows(elDiaryItems);
+  const sums = sumDay({ items });
+  elDiaryTotalKcal.textContent = sums.kcal;
+  elDiaryTotalProtein.textContent = sums.protein;
+  elDiaryTotalCost.textContent = fmtMoney(sums.cost);
+  const today = dayCostAtTodayPrices({ items });
+  elDiaryCostToday.textContent = round2(today) !== round2(sums.cost) ? t('({money} at today\'s prices)', { money: fmtMoney(today) }) : '';
+  renderGoalTable(elDiaryGoals, sums, getGoalProfile(elDiaryGoalProfile.value)?.goals);
+}
+
+function applyPlanToDiary(dayId) {
+  const plan = state.days.find(d => d.id === dayId);
+  if (!plan) return;
+  if (plan.goalProfileId) elDiaryGoalProfile.value = plan.goalProfileId;
+  plan.items.forEach(it => addDayItemRow({ ...it }, elDiaryItems, onDiaryChange));
+  elDiaryPlan.value = '';
+}
+
+function refreshDiaryPlanOptions() {
+  elDiaryPlan.replaceChildren(new Option(t('Apply day plan...'), ''));
+  state.days
+    .slice()
+    .sort((a,b) => (a.name || '').localeCompare(b.name || ''))
+    .forEach(d => elDiaryPlan.appendChild(new Option(d.name, d.id)));
+}
+
+function renderDiary() {
+  elDiaryDate.value = currentDiaryDate;
+  fillGoalProfileSelect(elDiaryGoalProfile, getDiaryEntry(currentDiaryDate)?.goalProfileId);
+  hydratingDiary = true;
+  elDiaryItems.innerHTML = '';
+  (getDiaryEntry(currentDiaryDate)?.items || []).forEach(it => addDayItemRow(it, elDiaryItems, onDiaryChange));
+  hydratingDiary = false;
+  updateDiaryTotals();
+  refreshDiaryPlanOptions();
+  renderDiaryList();
+}
+
+function fmtDiaryDate(iso) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString(appLocale(), { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function renderDiaryList() {
+  elDiaryList.innerHTML = '';
+  const frag = document.createDocumentFragment();
+  state.diary
+    .slice()
+    .sort((a,b) => b.date.localeCompare(a.date))
+    .forEach(entry => {
+      const div = document.createElement('div');
+      div.className = 'card';
+      div.classList.toggle('selected', entry.date === currentDiaryDate);
+      const main = document.createElement('div'); main.className = 'card-main';
+      const title = document.createElement('div'); title.className = 'title'; title.textContent = fmtDiaryDate(entry.date);
+      const subtitle = document.createElement('div'); subtitle.className = 'subtitle';
+      const sums = sumDay(entry);
+      renderStats(subtitle, sums);
+      const costChange = fmtCostChange(sums.cost, dayCostAtTodayPrices(entry));
+      if (costChange) {
+        const note = document.createElement('div'); note.className = 'smallmuted'; note.textContent = costChange;
+        subtitle.appendChild(note);
+      }
+      const hits = document.createElement('div');
+      renderGoalHits(hits, sums, entry.goalProfileId);
+      main.appendChild(title); main.appendChild(subtitle); main.appendChild(hits);
+      const actions = document.createElement('div'); actions.className = 'card-actions';
+      const btnOpen = document.createElement('button'); btnOpen.className = 'ghost'; btnOpen.textContent = t('Open'); btnOpen.addEventListener('click', () => openDiaryDate(entry.date));
+      actions.appendChild(btnOpen);
+      div.appendChild(main); div.appendChild(actions);
+      frag.appendChild(div);
+    });
+  elDiaryList.appendChild(frag);
+}
+
+// ---------- Shopping UI ----------
+const elShoppingDays = document.getElementById('shopping-days');
+const elShoppingList = document.getElementById('shopping-list');
+const elShoppingTotalCost = document.getElementById('shopping-total-cost');
+const elShoppingRemaining = document.getElementById('shopping-remaining');
+
+document.getElementById('btn-shopping-uncheck').addEventListener('click', () => {
+  state.shopping.checked = [];
+  commitState('Uncheck shopping list');
+  renderShoppingList();
+});
+document.getElementById('btn-shopping-print').addEventListener('click', () => window.print());
+document.getElementById('btn-shopping-export').addEventListener('click', () => {
+  downloadText('foodsies-shopping.txt', shoppingListText(buildShoppingList()));
+});
+
+// Adds the raw grams of each ingredient in the meal (times factor) to the map.
+// Recipe items expand into their own ingredients, scaled by the share of the cooked weight eaten.
+function addMealGrams(grams, meal, factor, stack = new Set()) {
+  if (stack.has(meal.id)) return;
+  const inner = new Set(stack).add(meal.id);
+  for (const it of meal.items) {
+    if (it.recipeId) {
+      const recipe = getMeal(it.recipeId);
+      const src = recipe && recipeAsIngredient(recipe);
+      const yieldGrams = recipe && recipeYieldGrams(recipe);
+      if (src && yieldGrams) addMealGrams(grams, recipe, factor * itemGrams(src, it) / yieldGrams, inner);
+      continue;
+    }
+    const ing = getIngredient(it.ingredientId);
+    if (!ing) continue;
+    grams.set(ing.id, (grams.get(ing.id) || 0) + itemGrams(ing, it) * factor);
+  }
+}
+
+// Grams of every ingredient needed for the selected day plans, grouped by brand/store.
+// Each line: { ing, grams, packages (null without a package size), cost }
+function buildShoppingList() {
+  const grams = new Map();
+  for (const [dayId, count] of Object.entries(state.shopping.days)) {
+    const day = state.days.find(d => d.id === dayId);
+    if (!day || !(count > 0)) continue;
+    for (const di of day.items) {
+      const meal = getMeal(di.mealId);
+      if (!meal) continue;
+      addMealGrams(grams, mealWithOverrides(meal, di.overrides), (di.servings ?? 1) * count);
+    }
+  }
+  const groups = new Map();
+  for (const [id, g] of grams) {
+    if (!(g > 0)) continue;
+    const ing = getIngredient(id);
+    const packages = ing.packageGrams ? Math.ceil(g / ing.packageGrams) : null;
+    const buyGrams = packages ? packages * ing.packageGrams : g;
+    const line = { ing, grams: round1(g), packages, cost: ing.pricePerKg ? round2(ing.pricePerKg * buyGrams / 1000) : 0 };
+    const store = ing.brand || ''; // '' is shown as "Other", after the stores
+    if (!groups.has(store)) groups.set(store, []);
+    groups.get(store).push(line);
+  }
+  return Array.from(groups, ([store, lines]) => ({ store, lines: lines.sort((a,b) => a.ing.name.localeCompare(b.ing.name)) }))
+    .sort((a,b) => !a.store ? 1 : !b.store ? -1 : a.store.localeCompare(b.store));
+}
+
+function fmtShoppingLine(line) {
+  let text = `${line.ing.name} — ${fmtWeight(line.grams)}`;
+  if (line.packages) text += ` (${line.packages} × ${fmtWeight(line.ing.packageGrams)})`;
+  if (line.cost) text += ` — ${fmtMoney(line.cost)}`;
+  return text;
+}
+
+function shoppingListText(groups) {
+  const checked = new Set(state.shopping.checked);
+  const days = Object.entries(state.shopping.days)
+    .map(([id, count]) => ({ day: state.days.find(d => d.id === id), count }))
+    .filter(x => x.day && x.count > 0)
+    .map(x => x.day.name + (x.count > 1 ? ` ×${x.count}` : ''));
+  const lines = [t('Foodsies shopping list'), t('Days: {days}', { days: days.join(', ') || '—' })];
+  let total = 0;
+  groups.forEach(g => {
+    lines.push('', `[${g.store || t('Other')}]`);
+    g.lines.forEach(l => {
+      lines.push(`${checked.has(l.ing.id) ? '[x]' : '[ ]'} ${fmtShoppingLine(l)}`);
+      total += l.cost;
+    });
+  });
+  lines.push('', t('Estimated total: {money}', { money: fmtMoney(total) }));
+  return lines.join('\n') + '\n';
+}
+
+function renderShoppingDays() {
+  elShoppingDays.innerHTML = '';
+  const days = state.days.slice().sort((a,b) => (a.name || '').localeCompare(b.name || ''));
+  if (!days.length) {
+    showNote(elShoppingDays, t('No day plans yet. Create some in the Days tab.'));
+    return;
+  }
+  days.forEach(day => {
+    const label = document.createElement('label');
+    label.className = 'shopping-day';
+    const check = document.createElement('input'); check.type = 'checkbox';
+    const count = document.createElement('input'); count.type = 'number'; count.min = '1'; count.step = '1'; count.title = t('Times');
+    const current = state.shopping.days[day.id] || 0;
+    check.checked = current > 0;
+    count.value = current || 1;
+    count.disabled = !check.checked;
+    const name = document.createElement('span'); name.textContent = day.name || t('(untitled)');
+    function update() {
+      const n = Math.max(1, parseInt(count.value, 10) || 1);
+      if (check.checked) state.shopping.days[day.id] = n; else delete state.shopping.days[day.id];
+      count.disabled = !check.checked;
+      commitState('Shopping days');
+      renderShoppingList();
+    }
+    check.addEventListener('change', update);
+    count.addEventListener('input', update);
+    label.appendChild(check); label.appendChild(name); label.appendChild(count);
+    elShoppingDays.appendChild(label);
+  });
+}
+
+function renderShoppingList() {
+  const groups = buildShoppingList();
+  const checked = new Set(state.shopping.checked);
+  elShoppingList.innerHTML = '';
+  let total = 0, remaining = 0;
+  if (!groups.length) showNote(elShoppingList, t('Select day plans above to build a list.'));
+  groups.forEach(g => {
+    const h = document.createElement('h3'); h.textContent = g.store || t('Other');
+    elShoppingList.appendChild(h);
+    g.lines.forEach(line => {
+      const label = document.createElement('label');
+      label.className = 'shopping-line';
+      const check = document.createElement('input'); check.type = 'checkbox';
+      check.checked = checked.has(line.ing.id);
+      label.classList.toggle('done', check.checked);
+      check.addEventListener('change', () => {
+        state.shopping.checked = state.shopping.checked.filter(id => id !== line.ing.id);
+        if (check.checked) state.shopping.checked.push(line.ing.id);
+        commitState('Check shopping item');
+        renderShoppingList();
+      });
+      const text = document.createElement('span'); text.textContent = fmtShoppingLine(line);
+      label.appendChild(check); label.appendChild(text);
+      elShoppingList.appendChild(label);
+      total += line.cost;
+      if (!check.checked) remaining += line.cost;
+    });
+  });
+  elShoppingTotalCost.textContent = fmtMoney(total);
+  elShoppingRemaining.textContent = state.shopping.checked.length ? t('({money} left to buy)', { money: fmtMoney(remaining) }) : '';
+}
+
+function renderShopping() {
+  renderShoppingDays();
+  renderShoppingList();
+}
+
+// ---------- Stats ----------
+// Charts over the diary: daily values as bars, the 7-day rolling average as a line and the day's
+// goal range as a band. SVG is built here; colors come from CSS variables so both themes work.
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const STATS_CHARTS = [
+  { key: 'kcal', label: 'Calories', fmt: v => `${Math.round(v)} kcal` },
+  { key: 'protein', label: 'Protein', fmt: v => `${round1(v)} g` },
+  { key: 'cost', label: 'Cost', fmt: v => fmtMoney(v) },
+];
+const ROLLING_DAYS = 7;
+const elStatsRange = document.getElementById('stats-range');
+const elStatsCharts = document.getElementById('stats-charts');
+const elStatsSummary = document.getElementById('stats-summary');
+const elStatsAdherence = document.getElementById('stats-adherence');
+const elStatsTop = document.getElementById('stats-top');
+const elStatsTopBy = document.getElementById('stats-top-by');
+const elStatsValue = document.getElementById('stats-value');
+const elStatsValueBy = document.getElementById('stats-value-by');
+
+elStatsRange.addEventListener('change', () => renderStatsView());
+elStatsTopBy.addEventListener('change', () => renderStatsView());
+elStatsValueBy.addEventListener('change', () => renderValueRanking());
+
+// Every calendar date of the range, logged or not: [{ date, entry?, sums? }]
+function statsDays() {
+  const today = toISODate(new Date());
+  const logged = state.diary.filter(e => e.items.length).sort((a, b) => a.date.localeCompare(b.date));
+  const range = elStatsRange.value;
+  const first = range === 'all' ? (logged[0]?.date || today) : shiftISODate(today, -(parseInt(range, 10) - 1));
+  const last = range === 'all' && logged.length && logged[logged.length - 1].date > today ? logged[logged.length - 1].date : today;
+  const byDate = new Map(logged.map(e => [e.date, e]));
+  const days = [];
+  for (let d = first; d <= last; d = shiftISODate(d, 1)) {
+    const entry = byDate.get(d);
+    days.push(entry ? { date: d, entry, sums: sumDay(entry) } : { date: d });
+  }
+  return days;
+}
+
+// Mean over the logged days among the last ROLLING_DAYS calendar days, per day
+function rollingAverage(days, key) {
+  return days.map((_, i) => {
+    const recent = days.slice(Math.max(0, i - ROLLING_DAYS + 1), i + 1).filter(d => d.sums);
+    return recent.length ? recent.reduce((s, d) => s + d.sums[key], 0) / recent.length : null;
+  });
+}
+
+function svgEl(tag, attrs = {}, text) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+  if (text != null) el.textContent = text;
+  return el;
+}
+
+function renderChart(chart, days) {
+  const W = 640, H = 200, left = 48, right = 8, top = 10, bottom = 24;
+  const avg = rollingAverage(days, chart.key);
+  const goals = days.map(d => d.sums ? getGoalProfile(d.entry.goalProfileId)?.goals?.[chart.key] : null);
+  const max = Math.max(1, ...days.map(d => d.sums?.[chart.key] || 0), ...goals.map(g => g ? (g.max ?? g.min ?? 0) : 0)) * 1.1;
+  const slot = (W - left - right) / days.length;
+  const x = i => left + slot * i + slot / 2;
+  const y = v => top + (H - top - bottom) * (1 - v / max);
+  const svg = svgEl('svg', { viewBox: `0 0 ${W} ${H}`, class: 'chart', role: 'img', 'aria-label': t('{chart} per day', { chart: t(chart.label) }) });
+  [0, 0.5, 1].forEach(f => {
+    svg.appendChild(svgEl('line', { x1: left, x2: W - right, y1: y(max * f / 1.1), y2: y(max * f / 1.1), class: 'chart-grid' }));
+    svg.appendChild(svgEl('text', { x: left - 6, y: y(max * f / 1.1) + 4, class: 'chart-label', 'text-anchor': 'end' }, chart.fmt(max * f / 1.1)));
+  });
+  // Goal band: per day from min to max (or to the chart edge for one-sided goals)
+  goals.forEach((g, i) => {
+    if (!hasRange(g)) return;
+    const hi = y(g.max ?? max), lo = y(g.min ?? 0);
+    svg.appendChild(svgEl('rect', { x: x(i) - slot / 2, width: slot, y: hi, height: Math.max(1, lo - hi), class: 'chart-goal' }));
+  });
+  days.forEach((d, i) => {
+    if (!d.sums) return;
+    const v = d.sums[chart.key];
+    const bar = svgEl('rect', { x: x(i) - slot * 0.35, width: slot * 0.7, y: y(v), height: Math.max(0, y(0) - y(v)), class: 'chart-bar' });
+    bar.appendChild(svgEl('title', {}, `${fmtDiaryDate(d.date)}: ${chart.fmt(v)}`));
+    svg.appendChild(bar);
+  });
+  const path = avg.map((v, i) => v == null ? '' : `${x(i)},${y(v)}`).filter(Boolean);
+  if (path.length > 1) svg.appendChild(svgEl('polyline', { points: path.join(' '), class: 'chart-avg' }));
+  const labelAt = [0, Math.floor((days.length - 1) / 2), days.length - 1].filter((v, i, a) => a.indexOf(v) === i);
+  labelAt.forEach(i => svg.appendChild(svgEl('text', { x: x(i), y: H - 6, class: 'chart-label', 'text-anchor': i === 0 ? 'start' : i === days.length - 1 ? 'end' : 'middle' }, days[i].date.slice(5))));
+
+  const wrap = document.createElement('div'); wrap.className = 'chart-card';
+  const h = document.createElement('h4');
+  const lastAvg = [...avg].reverse().find(v => v != null);
+  h.textContent = t(chart.label) + (lastAvg != null ? ` — ${t('7-day average {value}', { value: chart.fmt(lastAvg) })}` : '');
+  wrap.append(h, svg);
+  return wrap;
+}
+
+// Share of logged days on which each goal was hit
+function renderAdherence(logged) {
+  elStatsAdherence.innerHTML = '';
+  let allDays = 0, allHit = 0;
+  const counts = Object.fromEntries(NUTRIENTS.map(n => [n.key, { days: 0, hit: 0 }]));
+  logged.forEach(d => {
+    const goals = getGoalProfile(d.entry.goalProfileId)?.goals || {};
+    const { checked, misses } = goalMisses(d.sums, goals);
+    if (checked) { allDays++; if (!misses.length) allHit++; }
+    NUTRIENTS.forEach(n => {
+      const r = rangeStatus(d.sums[n.key], goals[n.key]);
+      if (!r) return;
+      counts[n.key].days++;
+      if (r.status === 'hit') counts[n.key].hit++;
+    });
+  });
+  const row = (label, hit, days) => {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th'); th.textContent = label;
+    const pct = document.createElement('td'); pct.textContent = days ? `${Math.round(hit / days * 100)}%` : '—';
+    const detail = document.createElement('td'); detail.className = 'smallmuted'; detail.textContent = days ? t('{hit} of {days} days', { hit, days }) : t('no goal set');
+    tr.append(th, pct, detail);
+    elStatsAdherence.appendChild(tr);
+  };
+  row(t('All goals'), allHit, allDays);
+  NUTRIENTS.forEach(n => row(t(n.label), counts[n.key].hit, counts[n.key].days));
+}
+
+// Totals per ingredient and per meal over the logged days; recipes count as one ingredient
+function statsContributors(logged) {
+  const ingredients = new Map(), meals = new Map();
+  const add = (map, key, name, totals) => {
+    const cur = map.get(key) || { name, totals: emptyTotals() };
+    addTotals(cur.totals, totals);
+    map.set(key, cur);
+  };
+  logged.forEach(d => d.entry.items.forEach(it => {
+    const meal = it.snapshot || getMeal(it.mealId);
+    if (!meal) return;
+    const servings = it.servings ?? 1;
+    add(meals, it.mealId, meal.name, sumDayItem(it));
+    mealWithOverrides(meal, it.overrides).items.forEach(item => {
+      const src = resolveItemSource(item);
+      if (!src) return;
+      const totals = computeItem(src, item);
+      add(ingredients, itemSourceId(item), src.name, scaleTotals(totals, servings));
+    });
+  }));
+  return { ingredients: [...ingredients.values()], meals: [...meals.values()] };
+}
+
+function renderTopList(title, list, key) {
+  const fmt = STATS_CHARTS.find(c => c.key === key).fmt;
+  const total = list.reduce((s, x) => s + x.totals[key], 0);
+  const box = document.createElement('div'); box.className = 'stats-top-list';
+  const h = document.createElement('h4'); h.textContent = title;
+  const ol = document.createElement('ol');
+  list.slice().sort((a, b) => b.totals[key] - a.totals[key]).slice(0, 10).forEach(x => {
+    if (!x.totals[key]) return;
+    const li = document.createElement('li');
+    const share = total ? Math.round(x.totals[key] / total * 100) : 0;
+    li.innerHTML = '<span></span><span class="smallmuted"></span><span class="stats-share"><span></span></span>';
+    li.children[0].textContent = x.name;
+    li.children[1].textContent = `${fmt(x.totals[key])} · ${share}%`;
+    li.children[2].firstElementChild.style.width = `${share}%`;
+    ol.appendChild(li);
+  });
+  if (!ol.children.length) { const p = document.createElement('p'); p.className = 'smallmuted'; p.textContent = t('Nothing logged in this range.'); box.append(h, p); }
+  else box.append(h, ol);
+  return box;
+}
+
+// Ingredients with a price ranked by grams of protein or kcal per unit of currency, at their current price
+function renderValueRanking() {
+  elStatsValueBy.querySelector('[value="protein"]').textContent = t('Protein per {currency}', { currency: currencySymbol() });
+  elStatsValueBy.querySelector('[value="kcal"]').textContent = t('Calories per {currency}', { currency: currencySymbol() });
+  elStatsValue.innerHTML = '';
+  const key = elStatsValueBy.value;
+  const perMoney = (ing, k) => ing[k + '100'] * 10 / ing.pricePerKg;
+  const ranked = activeIngredients().filter(i => i.pricePerKg > 0).sort((a, b) => perMoney(b, key) - perMoney(a, key));
+  if (!ranked.length) {
+    elStatsValue.innerHTML = `<tr><td class="smallmuted">${t('Add prices to ingredients to rank them.')}</td></tr>`;
+    return;
+  }
+  ranked.forEach(ing => {
+    const tr = document.createElement('tr');
+    [
+      [ing.name + (ing.brand ? ` (${ing.brand})` : ''), 'th'],
+      [fmtPricePoint(latestPrice(ing) || { pricePerKg: ing.pricePerKg })],
+      [t('{value} g protein/{currency}', { value: round1(perMoney(ing, 'protein')), currency: currencySymbol() })],
+      [t('{value} kcal/{currency}', { value: Math.round(perMoney(ing, 'kcal')), currency: currencySymbol() })],
+    ].forEach(([text, tag = 'td']) => { const c = document.createElement(tag); c.textContent = text; tr.appendChild(c); });
+    elStatsValue.appendChild(tr);
+  });
+}
+
+function renderStatsView() {
+  renderValueRanking();
+  const days = statsDays();
+  const logged = days.filter(d => d.sums);
+  elStatsCharts.innerHTML = '';
+  elStatsTop.innerHTML = '';
+  if (!logged.length) {
+    elStatsSummary.textContent = t('No diary entries in this range yet. Log meals in the Diary to see trends.');
+    elStatsAdherence.innerHTML = '';
+    return;
+  }
+  const avgOf = key => logged.reduce((s, d) => s + d.sums[key], 0) / logged.length;
+  elStatsSummary.textContent = t('{logged} logged day(s) of {days} • average {kcal} kcal, {protein} g protein, {money} per logged day',
+    { logged: logged.length, days: days.length, kcal: Math.round(avgOf('kcal')), protein: round1(avgOf('protein')), money: fmtMoney(avgOf('cost')) });
+  STATS_CHARTS.forEach(c => elStatsCharts.appendChild(renderChart(c, days)));
+  renderAdherence(logged);
+  const { ingredients, meals } = statsContributors(logged);
+  const key = elStatsTopBy.value;
+  elStatsTop.append(renderTopList(t('Ingredients'), ingredients, key), renderTopList(t('Meals'), meals, key));
+}
+
+// ---------- Command palette ----------
+// Ctrl+K opens it. Commands ("new meal", "open day High Protein", "go to settings") are searched like ingredients;
+// quick-add lines ("150g oats, 2 cookies, 1 cup yogurt") fill the meal composer, or on the Days and Diary tabs
+// name meals with their servings ("1.5 breakfast, shake").
+const elPalette = document.getElementById('palette-dialog');
+const elPaletteInput = document.getElementById('palette-input');
+const elPaletteResults = document.getElementById('palette-results');
+const TAB_NAMES = { ingredients: 'Ingredients', meals: 'Meals', diary: 'Diary', days: 'Days', shopping: 'Shopping', stats: 'Stats', settings: 'Settings' };
+let paletteItems = []; // the selectable rows: [{ label, hint?, run?, disabled? }]
+let paletteActive = 0;
+const paletteChoices = new Map(); // normalized entry text -> candidate value picked for an ambiguous entry
+
+// Unit words a quick-add amount can carry; kg is stored as grams
+const QUICK_UNITS = [
+  [/^(fl\.?\s*oz|fluid ounces?)\b/, 'floz'],
+  [/^(kg|kilos?|kilograms?)\b/, 'kg'],
+  [/^(g|gr|grams?)\b/, 'grams'],
+  [/^(ml|millilitres?|milliliters?)\b/, 'ml'],
+  [/^(l|litres?|liters?)\b/, 'l'],
+  [/^(oz|ounces?)\b/, 'oz'],
+  [/^(lbs?|pounds?)\b/, 'lb'],
+  [/^(cups?)\b/, 'cup'],
+];
+
+function goToTab(tab) {
+  location.hash = `#${tab}`;
+  setActiveTab(location.hash);
+}
+
+function paletteCommands() {
+  return [
+    { label: t('New meal'), run: () => { goToTab('meals'); newMeal(); } },
+    { label: t('New day plan'), run: () => { goToTab('days'); newDay(); } },
+    { label: t('Add ingredient'), run: () => { goToTab('ingredients'); openIngredientDialog(); } },
+    { label: t('Open today in diary'), run: () => { goToTab('diary'); openDiaryDate(toISODate(new Date())); } },
+    ...Object.entries(TAB_NAMES).map(([tab, name]) => ({ label: t('Go to {name}', { name: t(name) }), run: () => goToTab(tab) })),
+    { label: t('Undo'), run: undo },
+    { label: t('Redo'), run: redo },
+    { label: t('Toggle theme'), run: toggleTheme },
+    ...activeMeals().map(m => ({ label: t('Open meal {name}', { name: m.name }), run: () => { goToTab('meals'); loadMeal(m.id); } })),
+    ...state.days.map(d => ({ label: t('Open day {name}', { name: d.name }), run: () => { goToTab('days'); loadDay(d.id); } })),
+  ];
+}
+
+// Which composer quick-add fills: meal rows by default, meal servings on the Days and Diary tabs
+function quickAddTarget() {
+  const tab = (location.hash || '#ingredients').slice(1);
+  return tab === 'days' || tab === 'diary' ? tab : 'meals';
+}
+
+function singular(word) { return word.length > 3 ? word.replace(/([^s])s$/, '$1') : word; }
+function wordsOf(text) { return normalizeText(text).split(/[^a-z0-9]+/).filter(Boolean).map(singular); }
+
+// "150g oats" -> { text, amount: 150, unit: 'grams', unitWord: 'g', rest: 'oats' }; amount and unit may be null
+function parseQuickEntry(text) {
+  let s = text.trim().toLowerCase();
+  let amount = null;
+  const num = s.match(/^(\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:[.,]\d+)?|half\b|an?\b)\s*(?:x\b|×)?\s*/);
+  if (num) {
+    const n = num[1];
+    if (n === 'a' || n === 'an') amount = 1;
+    else if (n === 'half') amount = 0.5;
+    else if (n.includes('/')) {
+      const [whole, frac] = n.includes(' ') ? n.split(/\s+/) : ['0', n];
+      const [p, q] = frac.split('/').map(Number);
+      amount = Number(whole) + (q ? p / q : 0);
+    } else amount = parseDecimal(n);
+    s = s.slice(num[0].length);
+  }
+  let unit = null, unitWord = null;
+  for (const [re, key] of QUICK_UNITS) {
+    const m = s.match(re);
+    if (m) { unit = key; unitWord = m[1]; s = s.slice(m[0].length).trim(); break; }
+  }
+  s = s.replace(/^of\s+/, '');
+  if (unit === 'kg') { unit = 'grams'; if (amount != null) amount *= 1000; }
+  return { text: text.trim(), amount, unit, unitWord, rest: s.trim() };
+}
+
+// Everything a quick-add line can name for the target, as { value, label, name, text, src? }
+function quickAddCandidates(target) {
+  if (target !== 'meals') return activeMeals().map(m => ({ value: m.id, label: m.name, name: m.name, text: m.name }));
+  return [
+    ...activeIngredients().map(ing => ({
+      value: ing.id, label: ing.name + (ing.brand ? ` — ${ing.brand}` : ''), name: ing.name, src: ing,
+      text: `${ingredientSearchText(ing)} ${ingredientPortions(ing).map(p => p.name).join(' ')}`,
+    })),
+    ...activeMeals().filter(m => m.recipe).map(m => ({ value: `recipe:${m.id}`, label: t('{name} (recipe)', { name: m.name }), name: m.name, src: recipeAsIngredient(m), text: `${m.name} serving` })),
+  ];
+}
+
+// The entry's candidate: one picked by the user, one named exactly, or the single best match; else the matches to choose from
+function resolveQuickEntry(entry, candidates) {
+  const picked = candidates.find(c => c.value === paletteChoices.get(normalizeText(entry.text)));
+  if (picked) return { choice: picked, matches: [] };
+  if (!entry.rest) return { error: t('Name what to add') };
+  const scored = candidates
+    .map(c => ({ c, score: fuzzyScore(c.text, entry.rest) }))
+    .filter(x => x.score != null)
+    .sort((a, b) => a.score - b.score);
+  if (!scored.length) return { error: t('Nothing matches "{text}"', { text: entry.rest }) };
+  const exact = scored.filter(x => normalizeText(x.c.name) === normalizeText(entry.rest));
+  if (exact.length === 1) return { choice: exact[0].c, matches: [] };
+  const best = scored.filter(x => x.score === scored[0].score);
+  if (best.length === 1) return { choice: best[0].c, matches: [] };
+  return { matches: scored.slice(0, 6).map(x => x.c) };
+}
+
+// The meal row for an entry: a portion it mentions, else its unit, else the default portion; { error } when impossible
+function quickMealItem(entry, cand) {
+  const src = cand.src;
+  const said = ` ${wordsOf(`${entry.unitWord || ''} ${entry.rest}`).join(' ')} `;
+  const portion = ingredientPortions(src).find(p => said.includes(` ${wordsOf(p.name).join(' ')} `));
+  const item = sourceFromValue(cand.value);
+  if (portion) return { ...item, mode: 'portion', portion: portion.name, amount: entry.amount ?? 1 };
+  if (entry.unit) {
+    if (UNITS[entry.unit].ml && !(src.density > 0)) return { error: t("{name} has no density, so it can't be measured in {unit}", { name: src.name, unit: UNITS[entry.unit].label }) };
+    if (entry.amount == null) return { error: t('How many {unit} of {name}?', { unit: UNITS[entry.unit].label, name: src.name }) };
+    return { ...item, mode: entry.unit, amount: entry.amount };
+  }
+  const first = ingredientPortions(src)[0];
+  if (first) return { ...item, mode: 'portion', portion: first.name, amount: entry.amount ?? 1 };
+  if (entry.amount == null) return { error: t('How much {name}? e.g. "100g {text}"', { name: src.name, text: entry.rest }) };
+  return { ...item, mode: defaultWeightUnit(), amount: entry.amount };
+}
+
+// Parses the input into entries: [{ entry, choice?, matches?, error?, item? }]
+function quickAddEntries(text, target) {
+  const candidates = quickAddCandidates(target);
+  // A comma between digits is a decimal comma ("1,5 breakfast"), not a separator
+  return text.split(/(?<!\d),|,(?!\d)|;|\n|\s+and\s+|\s+\+\s+/).map(s => s.trim()).filter(Boolean).map(part => {
+    const entry = parseQuickEntry(part);
+    const res = { entry, ...resolveQuickEntry(entry, candidates) };
+    if (!res.choice) return res;
+    if (target !== 'meals') {
+      const servings = entry.amount ?? 1;
+      return { ...res, item: { mealId: res.choice.value, ...(servings !== 1 ? { servings } : {}) } };
+    }
+    const item = quickMealItem(entry, res.choice);
+    return item.error ? { ...res, error: item.error } : { ...res, item };
+  });
+}
+
+function fmtQuickItem(res) {
+  const it = res.item;
+  if (!res.choice.src) return `${it.servings ?? 1} × ${res.choice.label}`;
+  return `${round2(it.amount)} ${unitLabel(res.choice.src, it)} ${res.choice.label}`;
+}
+
+function applyQuickAdd(target, items) {
+  const clearEmpty = (container, selector) => container.querySelectorAll('.meal-item').forEach(row => { if (!row.querySelector(selector).value) row.remove(); });
+  goToTab(target);
+  if (target === 'meals') {
+    clearEmpty(elMealItems, '.mi-ingredient');
+    items.forEach(it => addMealItemRow(it));
+    updateTotals();
+  } else if (target === 'days') {
+    clearEmpty(elDayItems, '.di-meal');
+    items.forEach(it => addDayItemRow(it));
+    updateDayTotals();
+  } else {
+    clearEmpty(elDiaryItems, '.di-meal');
+    items.forEach(it => addDayItemRow(it, elDiaryItems, onDiaryChange));
+  }
+}
+
+function renderPalette() {
+  const q = elPaletteInput.value.trim();
+  const target = quickAddTarget();
+  const commands = searchRank(paletteCommands(), q, c => c.label).slice(0, q ? 8 : 12);
+  elPaletteResults.innerHTML = '';
+  let addItem = null;
+  const entries = q ? quickAddEntries(q, target) : [];
+  if (entries.length && (/[\d,;]/.test(q) || !commands.length)) {
+    const ready = entries.filter(r => r.item);
+    const label = {
+      meals: ready.length === 1 ? 'Add 1 item to the meal' : 'Add {count} items to the meal',
+      days: ready.length === 1 ? 'Add 1 item to the day plan' : 'Add {count} items to the day plan',
+      diary: ready.length === 1 ? 'Add 1 item to the diary' : 'Add {count} items to the diary',
+    }[target];
+    addItem = {
+      label: t(label, { count: ready.length }),
+      hint: ready.length < entries.length ? t('resolve the lines marked ? or ✗ first') : '',
+      disabled: !ready.length || ready.length < entries.length,
+      run: () => applyQuickAdd(target, ready.map(r => r.item)),
+    };
+    const preview = document.createElement('div'); preview.className = 'palette-entries';
+    entries.forEach(res => {
+      const line = document.createElement('div');
+      line.className = 'palette-entry' + (res.item ? '' : ' unresolved');
+      if (res.item) line.textContent = `✓ ${fmtQuickItem(res)}`;
+      else if (res.error) line.textContent = `✗ ${res.entry.text}: ${res.error}`;
+      else {
+        line.textContent = `? ${res.entry.text}: ${t('did you mean')} `;
+        res.matches.forEach(c => {
+          const chip = document.createElement('button'); chip.type = 'button'; chip.className = 'tag'; chip.textContent = c.label;
+          chip.addEventListener('mousedown', (e) => e.preventDefault());
+          chip.addEventListener('click', () => { paletteChoices.set(normalizeText(res.entry.text), c.value); renderPalette(); elPaletteInput.focus(); });
+          line.appendChild(chip);
+        });
+      }
+      preview.appendChild(line);
+    });
+    elPaletteResults.appendChild(preview);
+  }
+  paletteItems = addItem && /[\d,;]/.test(q) ? [addItem, ...commands] : [...commands, ...(addItem ? [addItem] : [])];
+  paletteActive = Math.max(0, paletteItems.findIndex(x => !x.disabled));
+  renderPaletteItems();
+}
+
+function renderPaletteItems() {
+  elPaletteResults.querySelectorAll('.palette-item, .palette-empty').forEach(el => el.remove());
+  if (!paletteItems.length) {
+    const empty = document.createElement('div'); empty.className = 'palette-empty smallmuted'; empty.textContent = t('No matching command');
+    elPaletteResults.appendChild(empty);
+  }
+  paletteItems.forEach((item, i) => {
+    const row = document.createElement('div');
+    row.className = 'palette-item' + (i === paletteActive ? ' active' : '') + (item.disabled ? ' disabled' : '');
+    row.textContent = item.label;
+    if (item.hint) { const hint = document.createElement('span'); hint.className = 'smallmuted'; hint.textContent = item.hint; row.appendChild(hint); }
+    row.addEventListener('mousedown', (e) => e.preventDefault());
+    row.addEventListener('click', () => runPaletteItem(item));
+    elPaletteResults.appendChild(row);
+  });
+}
+
+function runPaletteItem(item) {
+  if (!item || item.disabled) return;
+  elPalette.close();
+  item.run();
+}
+
+function openPalette() {
+  if (elPalette.open) return;
+  elPaletteInput.value = '';
+  paletteChoices.clear();
+  renderPalette();
+  elPalette.showModal();
+  elPaletteInput.focus();
+}
+
+elPaletteInput.addEventListener('input', renderPalette);
+elPaletteInput.addEventListener('keydown', (e) => {
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    if (!paletteItems.length) return;
+    paletteActive = (paletteActive + (e.key === 'ArrowDown' ? 1 : -1) + paletteItems.length) % paletteItems.length;
+    renderPaletteItems();
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    runPaletteItem(paletteItems[paletteActive]);
+  }
+});
+document.getElementById('btn-palette').addEventListener('click', openPalette);
+document.addEventListener('keydown', (e) => {
+  if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+    e.preventDefault();
+    openPalette();
+  }
+});
+
+// ---------- Settings: archive ----------
+const elArchiveList = document.getElementById('archive-list');
+
+function restoreArchived(record) {
+  delete record.archived;
+  delete record.archivedAt;
+  commitState('Restore from archive');
+  renderAll();
+}
+
+function renderArchive() {
+  if (!elArchiveList) return;
+  elArchiveList.innerHTML = '';
+  const archived = [
+    ...state.ingredients.filter(i => i.archived).map(i => ({ record: i, kind: t('Ingredient'), name: i.name + (i.brand ? ` — ${i.brand}` : '') })),
+    ...state.meals.filter(m => m.archived).map(m => ({ record: m, kind: t('Meal'), name: m.name })),
+  ].sort((a,b) => (b.record.archivedAt || '').localeCompare(a.record.archivedAt || ''));
+  if (!archived.length) {
+    showNote(elArchiveList, t('Nothing archived.'));
+    return;
+  }
+  const frag = document.createDocumentFragment();
+  archived.forEach(({ record, kind, name }) => {
+    const div = document.createElement('div');
+    div.className = 'card';
+    const main = document.createElement('div'); main.className = 'card-main';
+    const title = document.createElement('div'); title.className = 'title'; title.textContent = name;
+    const subtitle = document.createElement('div'); subtitle.className = 'subtitle';
+    subtitle.textContent = kind + (record.archivedAt ? ` • ${t('archived {date}', { date: new Date(record.archivedAt).toLocaleDateString(appLocale()) })}` : '');
+    main.appendChild(title); main.appendChild(subtitle);
+    const actions = document.createElement('div'); actions.className = 'card-actions';
+    const btnRestore = document.createElement('button'); btnRestore.className = 'ghost'; btnRestore.textContent = t('Restore');
+    btnRestore.addEventListener('click', () => restoreArchived(record));
+    actions.appendChild(btnRestore);
+    div.appendChild(main); div.appendChild(actions);
+    frag.appendChild(div);
+  });
+  elArchiveList.appendChild(frag);
+}
+
+// ---------- Settings: data health ----------
+const elDataHealth = document.getElementById('data-health');
+const elFixAllData = document.getElementById('btn-fix-all-data');
+let dataHealthChecked = false; // the list is only shown (and kept current) after "Check data"
+
+// Jumps to the record a problem is about
+function openProblemRecord(ref) {
+  if (ref.collection === 'ingredients') {
+    const ing = getIngredient(ref.id);
+    if (!ing) return;
+    goToTab('ingredients');
+    openIngredientDialog(ing);
+  } else if (ref.collection === 'meals') {
+    goToTab('meals');
+    loadMeal(ref.id);
+  } else if (ref.collection === 'days') {
+    goToTab('days');
+    loadDay(ref.id);
+  } else if (ref.collection === 'diary') {
+    goToTab('diary');
+    openDiaryDate(ref.date);
+  } else if (ref.collection === 'shopping') {
+    goToTab('shopping');
+  }
+}
+
+// The problem's message in the UI language; the nutrient a value is about is translated too
+function problemText(problem) {
+  const vars = problem.vars.nutrient ? { ...problem.vars, nutrient: t(problem.vars.nutrient) } : problem.vars;
+  return t(problem.text, vars);
+}
+
+function fixProblem(problem) {
+  if (!FoodsiesCore.fixDataProblem(state, problem)) return;
+  commitState(t('Fixed: {problem}', { problem: problemText(problem) }), { undoToast: true });
+  renderAll();
+}
+
+function renderDataHealth() {
+  if (!elDataHealth || !dataHealthChecked) return;
+  const problems = FoodsiesCore.checkDataHealth(state);
+  elDataHealth.innerHTML = '';
+  elFixAllData.hidden = !problems.some(p => p.fix);
+  if (!problems.length) {
+    showNote(elDataHealth, t('No problems found.'));
+    return;
+  }
+  const frag = document.createDocumentFragment();
+  problems.forEach(problem => {
+    const div = document.createElement('div');
+    div.className = `card data-problem ${problem.severity}`;
+    const main = document.createElement('div'); main.className = 'card-main';
+    const title = document.createElement('div'); title.className = 'title'; title.textContent = problemText(problem);
+    const subtitle = document.createElement('div'); subtitle.className = 'subtitle';
+    subtitle.textContent = problem.severity === 'error' ? t('Error') : t('Worth checking');
+    main.appendChild(title); main.appendChild(subtitle);
+    const actions = document.createElement('div'); actions.className = 'card-actions';
+    if (problem.fix) {
+      const btnFix = document.createElement('button'); btnFix.className = 'secondary'; btnFix.textContent = t(problem.fix.label);
+      btnFix.addEventListener('click', () => fixProblem(problem));
+      actions.appendChild(btnFix);
+    }
+    if (problem.ref.id || problem.ref.collection === 'shopping') {
+      const btnOpen = document.createElement('button'); btnOpen.className = 'ghost'; btnOpen.textContent = t('Open');
+      btnOpen.addEventListener('click', () => openProblemRecord(problem.ref));
+      actions.appendChild(btnOpen);
+    }
+    div.appendChild(main); div.appendChild(actions);
+    frag.appendChild(div);
+  });
+  elDataHealth.appendChild(frag);
+}
+
+document.getElementById('btn-check-data').addEventListener('click', () => {
+  dataHealthChecked = true;
+  renderDataHealth();
+});
+elFixAllData.addEventListener('click', () => {
+  const fixed = FoodsiesCore.fixAllDataProblems(state);
+  if (!fixed) return;
+  commitState(t('Fixed {count} data problem(s)', { count: fixed }), { undoToast: true });
+  renderAll();
+});
+
+// ---------- Settings: import (merge / replace) ----------
+const elDataImportDialog = document.getElementById('data-import-dialog');
+const elDataImportSource = document.getElementById('data-import-source');
+const elDataImportDiff = document.getElementById('data-import-diff');
+const elDataImportErrors = document.getElementById('data-import-errors');
+const elDataImportCommit = document.getElementById('btn-data-import-commit');
+
+// { data, plan } for the file being imported
+let dataImport = null;
+
+document.getElementById('btn-import').addEventListener('click', () => document.getElementById('input-import').click());
+document.getElementById('btn-data-import-cancel').addEventListener('click', () => elDataImportDialog.close());
+document.querySelectorAll('input[name="data-import-mode"]').forEach(r => r.addEventListener('change', renderDataImport));
+elDataImportCommit.addEventListener('click', (e) => { e.preventDefault(); commitDataImport(); });
+
+document.getElementById('input-import').addEventListener('change', async (e) => {
+  const file = e.target.files?.[0];
+  if (!file) return;
+  try {
+    const text = await file.text();
+    let parsed;
+    try { parsed = JSON.parse(text); } catch { throw new Error(t('The file is not valid JSON.')); }
+    if (parsed?.format === ENCRYPTED_FORMAT) {
+      if (!window.crypto?.subtle) throw new Error(t('Encrypted files need the page to be opened over https, from localhost or as a file.'));
+      checkEncryptedFile(parsed);
+      let decrypted = null, error = '';
+      while (!decrypted) {
+        const passphrase = await askPassphrase(t('Passphrase for {file}', { file: file.name }), { error });
+        if (!passphrase) return;
+        decrypted = await decryptExport(parsed, passphrase);
+        error = t('Wrong passphrase, or the file is damaged.');
+      }
+      parsed = decrypted;
+    }
+    const { data } = migrateData(parsed);
+    const errors = validateData(data);
+    if (errors.length) {
+      elDataImportErrors.textContent = errors.slice(0, 50).join('\n') + (errors.length > 50 ? `\n…and ${errors.length - 50} more` : '');
+      dataImport = null;
+    } else {
+      elDataImportErrors.textContent = '';
+      dataImport = { data, plan: planMerge(state, data) };
+    }
+    elDataImportSource.textContent = `${file.name} • ${snapshotCounts({ ingredients: data.ingredients.length, meals: data.meals.length, days: data.days.length, diary: data.diary.length })}`;
+    renderDataImport();
+    elDataImportDialog.showModal();
+  } catch (err) {
+    alert(t('Failed to import {file}: {error}', { file: file.name, error: err.message }));
+  } finally {
+    e.target.value = '';
+  }
+});
+
+const MERGE_KINDS = [
+  { coll: 'ingredients', label: 'Ingredient', key: r => ingredientKey(r), name: r => r.name + (r.brand ? ` — ${r.brand}` : '') },
+  { coll: 'meals', label: 'Meal', key: r => (r.name || '').trim().toLowerCase(), name: r => r.name },
+  { coll: 'days', label: 'Day plan', key: r => (r.name || '').trim().toLowerCase(), name: r => r.name },
+  { coll: 'diary', label: 'Diary', key: r => r.date, name: r => r.date, byKeyOnly: true },
+];
+
+function isEmptyValue(v) { return v == null || v === '' || (Array.isArray(v) && !v.length); }
+
+// Fields that differ between two versions of a record, split into ones theirs only fills in and real conflicts
+function diffRecords(mine, theirs) {
+  const fill = [], conflict = [];
+  new Set([...Object.keys(mine), ...Object.keys(theirs)]).forEach(f => {
+    if (f === 'id' || f === 'archived' || f === 'archivedAt') return;
+    if (JSON.stringify(mine[f] ?? null) === JSON.stringify(theirs[f] ?? null)) return;
+    if (isEmptyValue(mine[f])) fill.push(f);
+    else if (!isEmptyValue(theirs[f])) conflict.push(f);
+  });
+  return { fill, conflict };
 }
 
-function updateTotals() {
-  const items = Array.from(elMealItems.querySelectorAll('.meal-item'));
-  let totalK = 0, totalP = 0, totalC = 0;
-  for (const row of items) {
-    const id = row.querySelector('.mi-ingredient').value;
-    const ing = getIngredient(id);
-    if (!ing) continue;
-    const mode = row.querySelector('.mi-mode').value;
-    const amount = parseFloat(row.querySelector('.mi-amount').value);
-    if (!(amount >= 0)) continue;
-    const res = mode === 'grams' ? computeFrom100g(ing, amount) : computeFromPortion(ing, amount || 0);
-    totalK += res.kcal;
-    totalP += res.protein;
-    totalC += res.cost;
-  }
-  elTotalKcal.textContent = round1(totalK);
-  elTotalProtein.textContent = round1(totalP);
-  if (elTotalCost) elTotalCost.textContent = fmtEUR(totalC);
+function remapDayItem(it, mealMap, ingMap) {
+  const out = { ...it, mealId: mealMap.get(it.mealId) ?? it.mealId };
+  if (it.overrides) out.overrides = Object.fromEntries(Object.entries(it.overrides).map(([k, v]) => [ingMap.get(k) ?? mealMap.get(k) ?? k, v]));
+  if (it.snapshot) out.snapshot = { ...it.snapshot, items: it.snapshot.items.map(x => remapMealItem(x, mealMap, ingMap)) };
+  return out;
 }
 
-function saveMeal() {
-  const meal = getMealFromComposer();
-  const idx = state.meals.findIndex(m => m.id === meal.id);
-  if (idx === -1) state.meals.push(meal); else state.meals[idx] = meal;
-  saveData(state);
-  currentMealId = meal.id;
-  renderMealsList();
-  refreshDayMealOptions();
-  renderDaysList();
-  updateDayTotals();
+function remapMealItem(it, mealMap, ingMap) {
+  if (it.recipeId) return { ...it, recipeId: mealMap.get(it.recipeId) ?? it.recipeId };
+  return { ...it, ingredientId: ingMap.get(it.ingredientId) ?? it.ingredientId };
 }
 
-function newMeal() {
-  currentMealId = null;
-  elMealName.value = '';
-  elMealItems.innerHTML = '';
-  addMealItemRow();
-  updateTotals();
+// Matches incoming records to local ones (by id with the same name, else by name+brand / name / date),
+// gives colliding ids of new records fresh ids, and rewrites every reference accordingly.
+// Each entry: { kind, status: 'added'|'updated'|'conflict'|'same', mine?, theirs, fill, conflict, choice }
+function planMerge(local, data) {
+  const maps = { ingredients: new Map(), meals: new Map(), days: new Map(), diary: new Map() };
+  const matches = {};
+  MERGE_KINDS.forEach(kind => {
+    const mine = local[kind.coll] || [];
+    matches[kind.coll] = (data[kind.coll] || []).map(theirs => {
+      // Kinds matched by key only still can't take an id a local record already has
+      const sameId = mine.find(m => m.id === theirs.id);
+      const match = (!kind.byKeyOnly && sameId && kind.key(sameId) === kind.key(theirs) && sameId) || mine.find(m => kind.key(m) === kind.key(theirs)) || null;
+      let id = theirs.id;
+      if (match) id = match.id;
+      else if (sameId || !id) id = uid(kind.coll === 'ingredients' ? 'ing' : kind.coll === 'meals' ? 'meal' : kind.coll === 'days' ? 'day' : 'diary');
+      if (theirs.id) maps[kind.coll].set(theirs.id, id);
+      return { theirs, match, id };
+    });
+  });
+  const ingMap = maps.ingredients, mealMap = maps.meals;
+  const entries = [];
+  MERGE_KINDS.forEach(kind => {
+    matches[kind.coll].forEach(({ theirs, match, id }) => {
+      const remapped = { ...theirs, id };
+      if (kind.coll === 'meals') remapped.items = theirs.items.map(it => remapMealItem(it, mealMap, ingMap));
+      if (kind.coll === 'days' || kind.coll === 'diary') remapped.items = theirs.items.map(it => remapDayItem(it, mealMap, ingMap));
+      if (!match) { entries.push({ kind, status: 'added', theirs: remapped, fill: [], conflict: [], choice: 'theirs' }); return; }
+      const { fill, conflict } = diffRecords(match, remapped);
+      const status = conflict.length ? 'conflict' : fill.length ? 'updated' : 'same';
+      entries.push({ kind, status, mine: match, theirs: remapped, fill, conflict, choice: 'mine' });
+    });
+  });
+  return entries;
 }
 
-function loadMeal(id) {
-  const meal = state.meals.find(m => m.id === id);
-  if (!meal) return;
-  currentMealId = meal.id;
-  elMealName.value = meal.name;
-  elMealItems.innerHTML = '';
-  meal.items.forEach(it => addMealItemRow(it));
-  updateTotals();
+function applyMerge(plan) {
+  plan.forEach(e => {
+    const list = state[e.kind.coll];
+    if (e.status === 'added') { list.push(e.theirs); return; }
+    const idx = list.findIndex(r => r === e.mine);
+    if (idx === -1) return;
+    if (e.status === 'conflict' && e.choice === 'theirs') {
+      list[idx] = { ...e.theirs, archived: e.mine.archived, archivedAt: e.mine.archivedAt };
+    } else if (e.status === 'updated' || e.status === 'conflict') {
+      // Keep mine, but take the fields only theirs has
+      const merged = { ...e.mine };
+      e.fill.forEach(f => { merged[f] = e.theirs[f]; });
+      list[idx] = merged;
+    }
+  });
 }
 
-function deleteMeal(id) {
-  if (!confirm('Delete this meal?')) return;
-  state.meals = state.meals.filter(m => m.id !== id);
-  // Remove from days
-  state.days.forEach(d => d.items = d.items.filter(it => it.mealId !== id));
-  saveData(state);
-  if (currentMealId === id) newMeal();
-  renderMealsList();
-  refreshDayMealOptions();
-  renderDaysList();
-  updateDayTotals();
+function fmtMergeValue(v) {
+  if (v == null || v === '') return '—';
+  if (Array.isArray(v)) return `${v.length} item(s)`;
+  if (typeof v === 'object') return JSON.stringify(v).slice(0, 40);
+  return String(v);
 }
 
-function renderMealsList() {
-  elMealList.innerHTML = '';
-  const frag = document.createDocumentFragment();
-  state.meals.forEach(meal => {
-    const div = document.createElement('div');
-    div.className = 'card';
-    const a = document.createElement('div');
-    a.className = 'card-main';
-    const title = document.createElement('div');
-    title.className = 'title';
-    title.textContent = meal.name;
-    const subtitle = document.createElement('div');
-    subtitle.className = 'subtitle';
-    const sums = sumMeal(meal);
-    subtitle.textContent = `${sums.kcal} kcal • ${sums.protein} g protein • cost ${fmtEUR(sums.cost)}`;
-    a.appendChild(title); a.appendChild(subtitle);
-    const actions = document.createElement('div');
-    actions.className = 'card-actions';
-    const btnLoad = document.createElement('button');
-    btnLoad.className = 'ghost'; btnLoad.textContent = 'Open';
-    btnLoad.addEventListener('click', () => loadMeal(meal.id));
-    const btnDel = document.createElement('button');
-    btnDel.className = 'danger'; btnDel.textContent = 'Delete';
-    btnDel.addEventListener('click', () => deleteMeal(meal.id));
-    actions.appendChild(btnLoad); actions.appendChild(btnDel);
-    div.appendChild(a); div.appendChild(actions);
-    frag.appendChild(div);
+function renderDataImport() {
+  const mode = document.querySelector('input[name="data-import-mode"]:checked')?.value || 'merge';
+  elDataImportDiff.innerHTML = '';
+  elDataImportCommit.disabled = !dataImport;
+  if (!dataImport) return;
+  if (mode === 'replace') {
+    showNote(elDataImportDiff, t('All your current ingredients, meals, day plans and diary will be replaced by the file.'));
+    elDataImportCommit.textContent = t('Replace My Data');
+    return;
+  }
+  elDataImportCommit.textContent = t('Merge');
+  const groups = [
+    ['conflict', 'Conflicts — both sides have different values'],
+    ['added', 'Added'],
+    ['updated', 'Changed — fills in fields you left empty'],
+  ];
+  groups.forEach(([status, heading]) => {
+    const entries = dataImport.plan.filter(e => e.status === status);
+    if (!entries.length) return;
+    const h = document.createElement('h4'); h.textContent = `${t(heading)} (${entries.length})`;
+    elDataImportDiff.appendChild(h);
+    entries.forEach(e => {
+      const row = document.createElement('div'); row.className = 'merge-row';
+      const text = document.createElement('div');
+      const title = document.createElement('div'); title.textContent = `${t(e.kind.label)}: ${e.kind.name(e.theirs)}`;
+      text.appendChild(title);
+      const fields = status === 'conflict' ? e.conflict : e.fill;
+      if (fields.length) {
+        const detail = document.createElement('div'); detail.className = 'smallmuted';
+        detail.textContent = fields.map(f => `${f}: ${fmtMergeValue(e.mine[f])} → ${fmtMergeValue(e.theirs[f])}`).join(' • ');
+        text.appendChild(detail);
+      }
+      row.appendChild(text);
+      if (status === 'conflict') {
+        const sel = document.createElement('select');
+        sel.append(new Option(t('Keep mine'), 'mine'), new Option(t('Take theirs'), 'theirs'));
+        sel.value = e.choice;
+        sel.addEventListener('change', () => { e.choice = sel.value; });
+        row.appendChild(sel);
+      }
+      elDataImportDiff.appendChild(row);
+    });
   });
-  elMealList.appendChild(frag);
+  const same = dataImport.plan.filter(e => e.status === 'same').length;
+  const p = document.createElement('p'); p.className = 'smallmuted';
+  p.textContent = dataImport.plan.every(e => e.status === 'same') ? t('Nothing new: everything in the file is already here.') : t('{count} record(s) identical to yours.', { count: same });
+  elDataImportDiff.appendChild(p);
 }
 
-function sumMeal(meal) {
-  let totalK = 0, totalP = 0, totalC = 0;
-  for (const it of meal.items) {
-    const ing = getIngredient(it.ingredientId);
-    if (!ing) continue;
-    const res = it.mode === 'grams' ? computeFrom100g(ing, it.amount) : computeFromPortion(ing, it.amount || 0);
-    totalK += res.kcal; totalP += res.protein; totalC += res.cost;
+function commitDataImport() {
+  if (!dataImport) return;
+  const mode = document.querySelector('input[name="data-import-mode"]:checked')?.value || 'merge';
+  const { data } = dataImport;
+  takeSnapshot('before', mode === 'replace' ? 'Before replacing with an import' : 'Before merging an import');
+  if (mode === 'replace') {
+    state = data;
+  } else {
+    applyMerge(dataImport.plan);
   }
-  return { kcal: round1(totalK), protein: round1(totalP), cost: round2(totalC) };
+  snapshotDiary(state.diary);
+  commitState('Import data', { undoToast: true });
+  dataImport = null;
+  elDataImportDialog.close();
+  renderAll();
+  alert(t('Data imported successfully.'));
 }
 
-// ---------- Days UI ----------
-const elDayName = document.getElementById('day-name');
-const elDayItems = document.getElementById('day-items');
-const elDayList = document.getElementById('day-list');
-const elDayTotalKcal = document.getElementById('day-total-kcal');
-const elDayTotalProtein = document.getElementById('day-total-protein');
-const elDayTotalCost = document.getElementById('day-total-cost');
-const elGoalKcal = document.getElementById('goal-kcal');
-const elGoalProtein = document.getElementById('goal-protein');
-const elDeltaKcal = document.getElementById('delta-kcal');
-const elDeltaProtein = document.getElementById('delta-protein');
+// ---------- Settings: export/reset/demo ----------
+document.getElementById('btn-export').addEventListener('click', () => {
+  downloadText('foodsies-data.json', JSON.stringify(state, null, 2), 'application/json');
+});
 
-document.getElementById('btn-add-day-item')?.addEventListener('click', () => addDayItemRow());
-document.getElementById('btn-new-day')?.addEventListener('click', () => newDay());
-document.getElementById('btn-save-day')?.addEventListener('click', () => saveDay());
+document.getElementById('btn-reset').addEventListener('click', () => {
+  if (!confirm(t('This will delete all data in this profile. Continue?'))) return;
+  takeSnapshot('before', 'Before reset');
+  state = emptyData();
+  commitState('Reset all data', { undoToast: true });
+  renderAll();
+});
 
-let currentDayId = null;
+document.getElementById('btn-demo').addEventListener('click', () => {
+  const demo = {
+    ...emptyData(),
+    settings: {
+      goalProfiles: [
+        { id: 'goals_default', name: 'Training', goals: { kcal: { min: 2100, max: 2300 }, protein: { min: 150, max: null }, carbs: { min: 230, max: 280 }, fat: { min: 60, max: 80 }, fiber: { min: 30, max: null }, salt: { min: null, max: 6 } } },
+        { id: 'goals_rest', name: 'Rest', goals: { kcal: { min: 1800, max: 2000 }, protein: { min: 140, max: null }, salt: { min: null, max: 6 } } },
+      ],
+      defaultGoalProfileId: 'goals_default',
+    },
+    ingredients: [
+      { id: uid('ing'), name: 'Oats', brand: null, kcal100: 389, protein100: 16.9, carbs100: 66.3, fat100: 6.9, satFat100: 1.2, fiber100: 10.6, sugar100: 1, salt100: 0.01, pricePerKg: 2.2, prices: [{ date: shiftISODate(toISODate(new Date()), -60), pricePerKg: 1.9, store: 'Lidl' }, { date: shiftISODate(toISODate(new Date()), -7), pricePerKg: 2.2, store: 'Lidl' }], packageGrams: 500, portions: [], density: null, notes: 'Raw rolled oats' },
+      { id: uid('ing'), name: 'Chocolate Cookies', brand: 'Lidl', kcal100: 500, protein100: 6, carbs100: 64, fat100: 24, satFat100: 12, fiber100: 3, sugar100: 35, salt100: 0.5, pricePerKg: 6.5, prices: [{ date: shiftISODate(toISODate(new Date()), -30), pricePerKg: 6.5, store: 'Lidl' }], packageGrams: 200, portions: [{ name: 'cookie', grams: 8 }], density: null, notes: null },
+      { id: uid('ing'), name: 'Yogurt', brand: 'Aldi', kcal100: 61, protein100: 10, carbs100: 4, fat100: 0.2, satFat100: 0.1, fiber100: 0, sugar100: 4, salt100: 0.1, pricePerKg: 3.0, prices: [{ date: shiftISODate(toISODate(new Date()), -30), pricePerKg: 3.0, store: 'Aldi' }], packageGrams: 450, portions: [{ name: 'cup', grams: 150 }, { name: 'spoon', grams: 15 }], density: 1.05, notes: 'Skyr style' },
+    ],
+  };
+  takeSnapshot('before', 'Before loading demo data');
+  state = demo;
+  commitState('Load demo data', { undoToast: true });
+  renderAll();
+});
 
-function refreshDayMealOptions() {
-  const options = state.meals
-    .slice()
-    .sort((a,b) => a.name.localeCompare(b.name))
-    .map(meal => ({ value: meal.id, label: meal.name }));
-  elDayItems.querySelectorAll('select.di-meal').forEach(sel => {
-    const selected = sel.value;
-    sel.innerHTML = '<option value="">Select meal...</option>' + options.map(o => `<option value="${o.value}">${o.label}</option>`).join('');
-    if (options.some(o => o.value === selected)) sel.value = selected;
-  });
-}
+// ---------- Settings: snapshots ----------
+const elSnapshotList = document.getElementById('snapshot-list');
 
-function addDayItemRow(item = null) {
-  const row = document.createElement('div');
-  row.className = 'meal-item';
-  const sel = document.createElement('select'); sel.className = 'di-meal';
-  const stats = document.createElement('div'); stats.className = 'mi-stats'; stats.textContent = '0 kcal • 0 g protein • cost 0.00€';
-  const remove = document.createElement('button'); remove.className = 'ghost mi-remove'; remove.textContent = '✕'; remove.title = 'Remove';
-  sel.innerHTML = '<option value="">Select meal...</option>' + state.meals.slice().sort((a,b)=>a.name.localeCompare(b.name)).map(m => `<option value="${m.id}">${m.name}</option>`).join('');
-  if (item) sel.value = item.mealId || '';
+function snapshotCounts(counts) {
+  return t('{ingredients} ingredient(s), {meals} meal(s), {days} day plan(s), {diary} diary day(s)', counts);
+}
 
-  function recalc() {
-    const meal = getMeal(sel.value);
-    if (!meal) { stats.textContent = '0 kcal • 0 g protein • cost 0.00€'; updateDayTotals(); return; }
-    const sums = sumMeal(meal);
-    stats.textContent = `${sums.kcal} kcal • ${sums.protein} g protein • cost ${fmtEUR(sums.cost)}`;
-    updateDayTotals();
+async function renderSnapshots() {
+  if (!elSnapshotList) return;
+  document.getElementById('btn-snapshot-now').disabled = !db;
+  if (!db) {
+    showNote(elSnapshotList, t('Snapshots need IndexedDB, which this browser does not provide.'));
+    return;
   }
+  const message = (text, className = 'smallmuted') => elSnapshotList.appendChild(Object.assign(document.createElement('p'), { className, textContent: text }));
+  let snapshots, deleted;
+  try {
+    snapshots = await listSnapshots();
+    deleted = await listDeletedProfileSnapshots();
+  } catch (err) {
+    elSnapshotList.innerHTML = '';
+    message(t('Snapshots could not be read: {error}', { error: err.message }), 'smallmuted miss');
+    return;
+  }
+  elSnapshotList.innerHTML = '';
+  if (snapshotError) message(snapshotError, 'smallmuted miss');
+  if (!snapshots.length) message(t('No snapshots yet.'));
+  const frag = document.createDocumentFragment();
+  const card = (snapshot, label, onRestore) => {
+    const div = document.createElement('div');
+    div.className = 'card';
+    const main = document.createElement('div'); main.className = 'card-main';
+    const title = document.createElement('div'); title.className = 'title';
+    title.textContent = label + new Date(snapshot.at).toLocaleString(appLocale(), { dateStyle: 'medium', timeStyle: 'short' });
+    const subtitle = document.createElement('div'); subtitle.className = 'subtitle';
+    subtitle.textContent = `${t(snapshot.reason)} • ${snapshotCounts(snapshot.counts)}`;
+    main.appendChild(title); main.appendChild(subtitle);
+    const actions = document.createElement('div'); actions.className = 'card-actions';
+    const btnRestore = document.createElement('button'); btnRestore.className = 'ghost'; btnRestore.textContent = t('Restore');
+    btnRestore.addEventListener('click', onRestore);
+    actions.appendChild(btnRestore);
+    div.appendChild(main); div.appendChild(actions);
+    frag.appendChild(div);
+  };
+  snapshots.forEach(snapshot => card(snapshot, '', () => restoreSnapshot(snapshot)));
+  if (deleted.size) {
+    const h = document.createElement('h4');
+    h.textContent = t('Deleted profiles (kept for {days} days)', { days: SNAPSHOT_KEEP_DELETED_DAYS });
+    frag.appendChild(h);
+    deleted.forEach(list => list.forEach(snapshot => {
+      card(snapshot, `"${snapshot.profileName || t('Deleted profile')}" • `, () => restoreDeletedProfile(snapshot));
+    }));
+  }
+  elSnapshotList.appendChild(frag);
+}
 
-  sel.addEventListener('change', recalc);
-  remove.addEventListener('click', () => { row.remove(); updateDayTotals(); });
-
-  // Layout similar to meal-item grid: [select][stats][remove]
-  row.style.gridTemplateColumns = '3fr 3fr auto';
-  row.appendChild(sel);
-  row.appendChild(stats);
-  row.appendChild(remove);
-  elDayItems.appendChild(row);
-
-  recalc();
+// Recreates a deleted profile (with its old id, so its other snapshots are its own again) from a snapshot
+async function restoreDeletedProfile(snapshot) {
+  const name = snapshot.profileName || t('Restored profile');
+  if (!confirm(t('Restore the deleted profile "{name}" as it was on {when} ({counts})?',
+    { name, when: new Date(snapshot.at).toLocaleString(appLocale()), counts: snapshotCounts(snapshot.counts) }))) return;
+  let data;
+  try {
+    data = migrateData(snapshot.data).data;
+  } catch (err) {
+    alert(t("This snapshot can't be restored: {error}", { error: err.message }));
+    return;
+  }
+  const profile = { id: snapshot.profileId, name };
+  try {
+    const tx = db.transaction(['profiles', 'data'], 'readwrite');
+    tx.objectStore('profiles').put(profile);
+    tx.objectStore('data').put(data, profile.id);
+    await idbDone(tx);
+    profiles.push(profile);
+    announceProfiles();
+    await switchProfile(profile.id);
+  } catch (err) {
+    alert(t('Restoring the profile failed: {error}', { error: err.message }));
+  }
+  renderProfiles();
+  renderSnapshots();
 }
 
-function getDayFromComposer() {
-  const name = elDayName.value.trim() || 'Untitled day';
-  const items = Array.from(elDayItems.querySelectorAll('.meal-item')).map(row => {
-    return { mealId: row.querySelector('select.di-meal').value || null };
-  }).filter(it => it.mealId);
-  return { id: currentDayId || uid('day'), name, items };
+async function restoreSnapshot(snapshot) {
+  const when = new Date(snapshot.at).toLocaleString(appLocale());
+  if (!confirm(t('Replace all data in this profile with the snapshot from {when} ({counts})? The current data is kept as a snapshot first.', { when, counts: snapshotCounts(snapshot.counts) }))) return;
+  let data;
+  try {
+    data = migrateData(snapshot.data).data;
+  } catch (err) {
+    alert(t("This snapshot can't be restored: {error}", { error: err.message }));
+    return;
+  }
+  await takeSnapshot('before', 'Before restoring a snapshot');
+  state = data;
+  snapshotDiary(state.diary);
+  commitState('Restore snapshot', { undoToast: true });
+  if (currentMealId && !getMeal(currentMealId)) newMeal();
+  if (currentDayId && !state.days.some(d => d.id === currentDayId)) newDay();
+  renderAll();
 }
 
-function updateDayTotals() {
-  let totalK = 0, totalP = 0, totalC = 0;
-  for (const row of Array.from(elDayItems.querySelectorAll('.meal-item'))) {
-    const id = row.querySelector('select.di-meal').value;
-    const meal = getMeal(id);
-    if (!meal) continue;
-    const sums = sumMeal(meal);
-    totalK += sums.kcal; totalP += sums.protein; totalC += sums.cost;
-  }
-  totalK = round1(totalK); totalP = round1(totalP);
-  elDayTotalKcal.textContent = totalK;
-  elDayTotalProtein.textContent = totalP;
-  if (elDayTotalCost) elDayTotalCost.textContent = fmtEUR(totalC);
-  // Goals
-  const gK = state.settings?.goalKcal ?? null;
-  const gP = state.settings?.goalProtein ?? null;
-  elGoalKcal.textContent = gK != null ? gK : '—';
-  elGoalProtein.textContent = gP != null ? gP : '—';
-  // Delta
-  const dK = gK != null ? round1(totalK - gK) : 0;
-  const dP = gP != null ? round1(totalP - gP) : 0;
-  elDeltaKcal.textContent = (dK > 0 ? '+' : '') + dK;
-  elDeltaProtein.textContent = (dP > 0 ? '+' : '') + dP;
-  elDeltaKcal.classList.toggle('over', dK > 0);
-  elDeltaKcal.classList.toggle('under', dK < 0);
-  elDeltaProtein.classList.toggle('over', dP > 0);
-  elDeltaProtein.classList.toggle('under', dP < 0);
+document.getElementById('btn-snapshot-now').addEventListener('click', () => {
+  if (!hasRecords(state)) { alert(t('There is nothing to keep yet.')); return; }
+  takeSnapshot('manual', 'Taken by hand');
+});
+
+// ---------- Settings: encrypted export ----------
+// A passphrase-protected export: { format, version, kdf, cipher, data } with the JSON export encrypted by
+// AES-GCM under a key derived from the passphrase with PBKDF2. Import JSON recognises it and asks for the passphrase.
+const ENCRYPTED_FORMAT = 'foodsies-encrypted';
+const ENCRYPTED_ITERATIONS = 310000;
+const ENCRYPTED_ITERATIONS_RANGE = [100000, 5000000]; // what a file may ask for: weaker is unsafe, more stalls the page
+const elPassphraseDialog = document.getElementById('passphrase-dialog');
+const elPassphrase = document.getElementById('passphrase-input');
+const elPassphraseRepeat = document.getElementById('passphrase-repeat');
+const elPassphraseError = document.getElementById('passphrase-error');
+
+function bytesToBase64(bytes) {
+  let s = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(s);
 }
 
-function saveDay() {
-  const day = getDayFromComposer();
-  const idx = state.days.findIndex(d => d.id === day.id);
-  if (idx === -1) state.days.push(day); else state.days[idx] = day;
-  saveData(state);
-  currentDayId = day.id;
-  renderDaysList();
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
 }
 
-function newDay() {
-  currentDayId = null;
-  if (elDayName) elDayName.value = '';
-  elDayItems.innerHTML = '';
-  addDayItemRow();
-  updateDayTotals();
+function passphraseKey(passphrase, salt, iterations) {
+  return crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+    .then(base => crypto.subtle.deriveKey({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, base, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']));
 }
 
-function loadDay(id) {
-  const day = state.days.find(d => d.id === id);
-  if (!day) return;
-  currentDayId = day.id;
-  if (elDayName) elDayName.value = day.name || '';
-  elDayItems.innerHTML = '';
-  day.items.forEach(it => addDayItemRow(it));
-  updateDayTotals();
+async function encryptExport(data, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await passphraseKey(passphrase, salt, ENCRYPTED_ITERATIONS);
+  const cipherText = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(data)));
+  return {
+    format: ENCRYPTED_FORMAT,
+    version: 1,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: ENCRYPTED_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    data: bytesToBase64(new Uint8Array(cipherText)),
+  };
 }
 
-function deleteDay(id) {
-  if (!confirm('Delete this day?')) return;
-  state.days = state.days.filter(d => d.id !== id);
-  saveData(state);
-  if (currentDayId === id) newDay();
-  renderDaysList();
+// Resolves with the parsed export inside an encrypted file
+// Throws unless the file is an encrypted export this version can open
+function checkEncryptedFile(file) {
+  if (file.version !== 1 || file.kdf?.name !== 'PBKDF2' || file.cipher?.name !== 'AES-GCM') {
+    throw new Error(t('The file is encrypted in a format this version of Foodsies does not know.'));
+  }
+  const iterations = file.kdf.iterations;
+  const [min, max] = ENCRYPTED_ITERATIONS_RANGE;
+  if (!Number.isInteger(iterations) || iterations < min || iterations > max) {
+    throw new Error(t("The file's key settings are out of range ({iterations} PBKDF2 iterations; expected {min}–{max}).", { iterations: JSON.stringify(iterations), min, max }));
+  }
 }
 
-function sumDay(day) {
-  let totalK = 0, totalP = 0, totalC = 0;
-  for (const it of day.items) {
-    const meal = getMeal(it.mealId);
-    if (!meal) continue;
-    const s = sumMeal(meal);
-    totalK += s.kcal; totalP += s.protein; totalC += s.cost;
+// Resolves with the export inside, or null when the passphrase doesn't open it
+async function decryptExport(file, passphrase) {
+  checkEncryptedFile(file);
+  const key = await passphraseKey(passphrase, base64ToBytes(file.kdf.salt), file.kdf.iterations);
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(file.cipher.iv) }, key, base64ToBytes(file.data));
+  } catch {
+    return null;
   }
-  return { kcal: round1(totalK), protein: round1(totalP), cost: round2(totalC) };
+  return JSON.parse(new TextDecoder().decode(plain));
 }
 
-function renderDaysList() {
-  if (!elDayList) return;
-  elDayList.innerHTML = '';
-  const frag = document.createDocumentFragment();
-  state.days
-    .slice()
-    .sort((a,b) => (a.name || '').localeCompare(b.name || ''))
-    .forEach(day => {
-      const div = document.createElement('div');
-      div.className = 'card';
-      const main = document.createElement('div'); main.className = 'card-main';
-      const title = document.createElement('div'); title.className = 'title'; title.textContent = day.name || '(untitled)';
-      const subtitle = document.createElement('div'); subtitle.className = 'subtitle';
-      const sums = sumDay(day);
-      const gK = state.settings?.goalKcal ?? null; const gP = state.settings?.goalProtein ?? null;
-      const dK = gK != null ? round1(sums.kcal - gK) : null;
-      const dP = gP != null ? round1(sums.protein - gP) : null;
-      subtitle.textContent = `${sums.kcal} kcal • ${sums.protein} g • cost ${fmtEUR(sums.cost)}` + (gK!=null||gP!=null ? ` • Δ ${dK!=null?(dK>0?'+':'')+dK+' kcal':''}${(gK!=null&&gP!=null)?' / ':''}${dP!=null?(dP>0?'+':'')+dP+' g':''}` : '');
-      main.appendChild(title); main.appendChild(subtitle);
-      const actions = document.createElement('div'); actions.className = 'card-actions';
-      const btnOpen = document.createElement('button'); btnOpen.className = 'ghost'; btnOpen.textContent = 'Open'; btnOpen.addEventListener('click', () => loadDay(day.id));
-      const btnDel = document.createElement('button'); btnDel.className = 'danger'; btnDel.textContent = 'Delete'; btnDel.addEventListener('click', () => deleteDay(day.id));
-      actions.appendChild(btnOpen); actions.appendChild(btnDel);
-      div.appendChild(main); div.appendChild(actions);
-      frag.appendChild(div);
-    });
-  elDayList.appendChild(frag);
+// Asks for a passphrase (twice with repeat, with error shown up front); resolves with it, or null when cancelled
+function askPassphrase(title, { repeat = false, error = '' } = {}) {
+  document.getElementById('passphrase-title').textContent = title;
+  elPassphrase.value = '';
+  elPassphraseRepeat.value = '';
+  elPassphraseRepeat.closest('label').hidden = !repeat;
+  elPassphraseError.textContent = error;
+  elPassphraseDialog.returnValue = '';
+  elPassphraseDialog.showModal();
+  return new Promise(resolve => {
+    const onClose = () => {
+      elPassphraseDialog.removeEventListener('close', onClose);
+      resolve(elPassphraseDialog.returnValue === 'ok' ? elPassphrase.value : null);
+    };
+    elPassphraseDialog.addEventListener('close', onClose);
+  });
 }
 
-// ---------- Settings: import/export/reset/demo ----------
-document.getElementById('btn-export').addEventListener('click', () => {
-  const blob = new Blob([JSON.stringify(state, null, 2)], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url; a.download = 'foodsies-data.json';
-  a.click();
-  URL.revokeObjectURL(url);
+document.getElementById('btn-passphrase-ok').addEventListener('click', (e) => {
+  e.preventDefault();
+  if (!elPassphrase.value) { elPassphraseError.textContent = t('Enter a passphrase.'); elPassphrase.focus(); return; }
+  if (!elPassphraseRepeat.closest('label').hidden && elPassphraseRepeat.value !== elPassphrase.value) {
+    elPassphraseError.textContent = t("The passphrases don't match.");
+    elPassphraseRepeat.focus();
+    return;
+  }
+  elPassphraseDialog.close('ok');
 });
 
-document.getElementById('btn-import').addEventListener('click', () => document.getElementById('input-import').click());
-document.getElementById('input-import').addEventListener('change', async (e) => {
-  const file = e.target.files?.[0];
-  if (!file) return;
+document.getElementById('btn-export-encrypted').addEventListener('click', async () => {
+  if (!window.crypto?.subtle) { alert(t('Encryption needs the page to be opened over https, from localhost or as a file.')); return; }
+  const passphrase = await askPassphrase(t('Export Encrypted'), { repeat: true });
+  if (!passphrase) return;
   try {
-    const text = await file.text();
-    const data = JSON.parse(text);
-    if (!data || !Array.isArray(data.ingredients) || !Array.isArray(data.meals)) throw new Error('Invalid data');
-    state = {
-      version: 1,
-      settings: data.settings || { goalKcal: null, goalProtein: null },
-      ingredients: data.ingredients,
-      meals: data.meals,
-      days: Array.isArray(data.days) ? data.days : []
-    };
-    saveData(state);
-    renderAll();
-    alert('Data imported successfully.');
+    downloadText('foodsies-data.encrypted.json', JSON.stringify(await encryptExport(state, passphrase)), 'application/json');
   } catch (err) {
-    alert('Failed to import JSON.');
-  } finally {
-    e.target.value = '';
+    alert(t('Export failed: {error}', { error: err.message }));
   }
 });
 
-document.getElementById('btn-reset').addEventListener('click', () => {
-  if (!confirm('This will delete all data. Continue?')) return;
-  state = { version: 1, settings: { goalKcal: null, goalProtein: null }, ingredients: [], meals: [], days: [] };
-  saveData(state);
+// ---------- Settings: units ----------
+const elSettingUnits = document.getElementById('setting-units');
+
+elSettingUnits.addEventListener('change', () => {
+  state.settings.units = elSettingUnits.value;
+  commitState('Change units');
   renderAll();
 });
 
-document.getElementById('btn-demo').addEventListener('click', () => {
-  const demo = {
-    version: 1,
-    settings: { goalKcal: 2200, goalProtein: 150 },
-    ingredients: [
-      { id: uid('ing'), name: 'Oats', brand: null, kcal100: 389, protein100: 16.9, pricePerKg: 2.2, portionName: null, portionGrams: null, notes: 'Raw rolled oats' },
-      { id: uid('ing'), name: 'Chocolate Cookies', brand: 'Lidl', kcal100: 500, protein100: 6, pricePerKg: 6.5, portionName: 'cookie', portionGrams: 8, notes: null },
-      { id: uid('ing'), name: 'Yogurt', brand: 'Aldi', kcal100: 61, protein100: 10, pricePerKg: 3.0, portionName: 'cup', portionGrams: 150, notes: 'Skyr style' },
-    ],
-    meals: [],
-    days: []
-  };
-  state = demo;
-  saveData(state);
+// ---------- Settings: language & region ----------
+const elSettingLanguage = document.getElementById('setting-language');
+const elSettingLocale = document.getElementById('setting-locale');
+const elSettingCurrency = document.getElementById('setting-currency');
+const elSettingLocaleSample = document.getElementById('setting-locale-sample');
+
+function renderLanguageSettings() {
+  elSettingLanguage.innerHTML = '';
+  Object.entries(LANGUAGES).forEach(([code, name]) => elSettingLanguage.appendChild(new Option(name, code)));
+  elSettingLanguage.value = uiLanguage();
+  elSettingLocale.innerHTML = '';
+  elSettingLocale.appendChild(new Option(t('Browser default ({locale})', { locale: navigator.language || 'en-GB' }), ''));
+  // A locale picked on another device that isn't in the list still shows up
+  const locales = state.settings.locale && !LOCALES.includes(state.settings.locale) ? [...LOCALES, state.settings.locale] : LOCALES;
+  locales.forEach(loc => elSettingLocale.appendChild(new Option(loc, loc)));
+  elSettingLocale.value = state.settings.locale || '';
+  elSettingCurrency.innerHTML = '';
+  const currencies = CURRENCIES.includes(appCurrency()) ? CURRENCIES : [...CURRENCIES, appCurrency()];
+  currencies.forEach(c => elSettingCurrency.appendChild(new Option(`${c} (${numberFormat({ style: 'currency', currency: c }).format(0)})`, c)));
+  elSettingCurrency.value = appCurrency();
+  elSettingLocaleSample.textContent = t('Costs look like {money}; type decimals like {decimal}.', { money: fmtMoney(1234.5), decimal: fmtInput(3.49) });
+}
+
+[elSettingLanguage, elSettingLocale, elSettingCurrency].forEach(el => el.addEventListener('change', () => {
+  state.settings.language = elSettingLanguage.value;
+  state.settings.locale = elSettingLocale.value || null;
+  state.settings.currency = elSettingCurrency.value;
+  commitState('Change language & region');
+  renderAll();
+}));
+
+// ---------- Settings: goal profiles ----------
+const elGoalProfileSelect = document.getElementById('goal-profile-select');
+const elGoalProfileName = document.getElementById('goal-profile-name');
+const elGoalProfileDefault = document.getElementById('goal-profile-default');
+const elGoalRanges = document.getElementById('goal-ranges');
+let editingGoalProfileId = null;
+let goalRangeInputs = null;
+
+function renderGoalSettings() {
+  const list = state.settings.goalProfiles || [];
+  const profile = list.find(p => p.id === editingGoalProfileId) || getGoalProfile(null);
+  editingGoalProfileId = profile?.id || null;
+  elGoalProfileSelect.innerHTML = '';
+  list.forEach(p => elGoalProfileSelect.appendChild(new Option(p.id === state.settings.defaultGoalProfileId ? t('{name} (default)', { name: p.name }) : p.name, p.id)));
+  elGoalProfileSelect.value = editingGoalProfileId || '';
+  elGoalProfileName.value = profile?.name || '';
+  elGoalProfileDefault.checked = !!profile && profile.id === state.settings.defaultGoalProfileId;
+  goalRangeInputs = buildRangeInputs(elGoalRanges, profile?.goals);
+}
+
+elGoalProfileSelect.addEventListener('change', () => {
+  editingGoalProfileId = elGoalProfileSelect.value;
+  renderGoalSettings();
+});
+
+document.getElementById('btn-new-goal-profile').addEventListener('click', () => {
+  const name = prompt(t('Name of the goal profile (e.g., Training, Rest, Refeed):'))?.trim();
+  if (!name) return;
+  // Start from the profile on screen, which is usually close
+  const base = getGoalProfile(editingGoalProfileId);
+  const profile = { id: uid('goals'), name, goals: JSON.parse(JSON.stringify(base?.goals || {})) };
+  state.settings.goalProfiles = [...(state.settings.goalProfiles || []), profile];
+  editingGoalProfileId = profile.id;
+  commitState('Add goal profile');
   renderAll();
 });
 
-// ---------- Settings: goals ----------
-const elGoalKcalInput = document.getElementById('goal-kcal-input');
-const elGoalProteinInput = document.getElementById('goal-protein-input');
-document.getElementById('btn-save-goals')?.addEventListener('click', () => {
-  const gk = elGoalKcalInput.value ? parseFloat(elGoalKcalInput.value) : null;
-  const gp = elGoalProteinInput.value ? parseFloat(elGoalProteinInput.value) : null;
-  state.settings = { goalKcal: gk, goalProtein: gp };
-  saveData(state);
-  updateDayTotals();
-  renderDaysList();
+document.getElementById('btn-delete-goal-profile').addEventListener('click', () => {
+  const list = state.settings.goalProfiles || [];
+  const profile = list.find(p => p.id === editingGoalProfileId);
+  if (!profile) return;
+  if (list.length < 2) { alert(t('Keep at least one goal profile.')); return; }
+  state.settings.goalProfiles = list.filter(p => p.id !== profile.id);
+  // Days that used it fall back to the default profile
+  if (state.settings.defaultGoalProfileId === profile.id) state.settings.defaultGoalProfileId = state.settings.goalProfiles[0].id;
+  editingGoalProfileId = null;
+  commitState(t('Deleted goal profile "{name}"', { name: profile.name }), { undoToast: true });
+  renderAll();
+});
+
+document.getElementById('btn-save-goals').addEventListener('click', () => {
+  const profile = (state.settings.goalProfiles || []).find(p => p.id === editingGoalProfileId);
+  if (!profile) return;
+  const goals = readRangeInputs(goalRangeInputs);
+  const wrong = NUTRIENTS.find(n => goals[n.key] && goals[n.key].min != null && goals[n.key].max != null && goals[n.key].min > goals[n.key].max);
+  if (wrong) { alert(t('{name}: min is above max.', { name: t(wrong.label) })); return; }
+  profile.name = elGoalProfileName.value.trim() || profile.name;
+  profile.goals = goals;
+  if (elGoalProfileDefault.checked) state.settings.defaultGoalProfileId = profile.id;
+  commitState('Save goals');
+  renderAll();
+});
+
+// ---------- Offline app (service worker) ----------
+// sw.js caches the app shell. A new version installs in the background and waits; the banner lets the
+// user switch to it, and the page reloads once the new worker takes control.
+const elUpdateBanner = document.getElementById('update-banner');
+let waitingWorker = null;
+
+function showUpdateBanner(worker) {
+  waitingWorker = worker;
+  elUpdateBanner.classList.remove('hidden');
+}
+
+async function registerServiceWorker() {
+  // Service workers need http(s); opening index.html from disk just runs without offline support
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+  try {
+    const reg = await navigator.serviceWorker.register('sw.js');
+    if (reg.waiting && navigator.serviceWorker.controller) showUpdateBanner(reg.waiting);
+    reg.addEventListener('updatefound', () => {
+      const worker = reg.installing;
+      worker?.addEventListener('statechange', () => {
+        // The first install has nothing to replace; later ones wait for the user
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker);
+      });
+    });
+  } catch {
+    // Registration can fail (e.g. private browsing); the app then runs without offline support
+  }
+}
+
+let reloadingForUpdate = false;
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!reloadingForUpdate && waitingWorker) { reloadingForUpdate = true; location.reload(); }
+  });
+}
+document.getElementById('btn-update-reload').addEventListener('click', () => {
+  elUpdateBanner.classList.add('hidden');
+  if (waitingWorker) waitingWorker.postMessage('skipWaiting');
 });
+document.getElementById('btn-update-later').addEventListener('click', () => elUpdateBanner.classList.add('hidden'));
 
 // ---------- Initial render ----------
 function renderAll() {
+  translatePage();
+  renderLanguageSettings();
+  renderProfiles();
   renderIngredients();
   renderMealsList();
   renderMealComposer();
   renderDaysList();
   renderDayComposer();
+  renderDiary();
+  renderShopping();
+  renderStatsView();
+  renderArchive();
+  renderDataHealth();
+  renderGoalSettings();
+  elSettingUnits.value = unitSystem();
 }
 
 function renderMealComposer() {
@@ -687,9 +4227,7 @@ function renderMealComposer() {
 
 function renderDayComposer() {
   refreshDayMealOptions();
-  // hydrate goals inputs
-  if (elGoalKcalInput) elGoalKcalInput.value = state.settings?.goalKcal ?? '';
-  if (elGoalProteinInput) elGoalProteinInput.value = state.settings?.goalProtein ?? '';
+  fillGoalProfileSelect(elDayGoalProfile, elDayGoalProfile.value);
   updateDayTotals();
 }
 
@@ -702,3 +4240,10 @@ renderAll();
 addMealItemRow();
 // Initialize day composer defaults
 if (document.getElementById('view-days')) { newDay(); }
+initStorage()
+  .then(useData)
+  .catch(err => {
+    storageLocked = true;
+    alert(t('Could not open stored data: {error}\nChanges made here will not be saved.', { error: err.message }));
+  });
+registerServiceWorker();
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+// Foodsies on the command line: reports over a Settings → Export JSON file. No dependencies, Node 18+.
+//
+//   node cli/foodsies.js <command> [file] [--diary] [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+//
+// file defaults to ./foodsies-data.json; '-' reads standard input. Commands:
+//   meals          totals per meal
+//   days           totals per day plan, or per logged date with --diary (optionally within --from/--to)
+//   validate       upgrades the file like the app does and lists every problem; exits with 1 when there are any
+//   csv <what>     ingredients, meals, days or diary as CSV
+// Archived ingredients and meals are left out of the reports, as in the app's lists.
+const fs = require('fs');
+const path = require('path');
+const core = require('../core.js');
+
+const USAGE = `Usage: foodsies <command> [file] [options]
+
+Commands:
+  meals                 totals per meal
+  days [--diary]        totals per day plan, or per logged date with --diary
+  validate              check the file; exit code 1 when it has problems
+  csv <what>            ingredients, meals, days or diary as CSV
+
+Options:
+  --diary               days: report the diary instead of the day plans
+  --from YYYY-MM-DD     diary: first date to include
+  --to YYYY-MM-DD       diary: last date to include
+
+file defaults to ./foodsies-data.json; use - to read standard input.`;
+
+const CSV_KINDS = ['ingredients', 'meals', 'days', 'diary'];
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = { positional: [], diary: false, from: null, to: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--diary') args.diary = true;
+    else if (a === '--from' || a === '--to') {
+      const v = argv[++i];
+      if (!core.isISODate(v)) throw new UsageError(`${a} needs a date as YYYY-MM-DD`);
+      args[a.slice(2)] = v;
+    } else if (a === '--help' || a === '-h') args.help = true;
+    else if (a.startsWith('--')) throw new UsageError(`Unknown option ${a}`);
+    else args.positional.push(a);
+  }
+  return args;
+}
+
+// Reads and upgrades an export; problems are returned, not thrown, so reports still run where the records allow
+function loadExport(file) {
+  const text = file === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(path.resolve(file), 'utf8');
+  let parsed;
+  try { parsed = JSON.parse(text); } catch (err) {
+    throw new Error(`${file} is not valid JSON: ${err.message}`);
+  }
+  const { data, from } = core.migrateData(parsed);
+  return { data, from, errors: [...core.checkUnmigrated(parsed), ...core.validateData(data)] };
+}
+
+function activeMeals(data) { return data.meals.filter(m => !m.archived); }
+
+function diaryEntries(data, { from, to }) {
+  return data.diary
+    .filter(e => (!from || e.date >= from) && (!to || e.date <= to))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function mealRows(data) {
+  return activeMeals(data).map(m => ({ id: m.id, label: m.name, recipe: !!m.recipe, items: m.items.length, sums: core.sumMeal(data, m) }));
+}
+
+function dayRows(data, args) {
+  if (args.diary) return diaryEntries(data, args).map(e => ({ id: e.id, label: e.date, items: e.items.length, sums: core.sumDay(data, e) }));
+  return data.days.map(d => ({ id: d.id, label: d.name, items: d.items.length, sums: core.sumDay(data, d) }));
+}
+
+// Aligned text table: label, then kcal, protein and the other macros, then cost
+function formatTable(rows, title, currency) {
+  const head = [title, ...core.NUTRIENTS.map(n => (n.unit === n.short ? n.unit : `${n.short} (${n.unit})`)), `cost (${currency})`];
+  const body = rows.map(r => [r.label, ...core.NUTRIENTS.map(n => String(r.sums[n.key])), r.sums.cost.toFixed(2)]);
+  if (rows.length > 1) {
+    const total = core.roundTotals(rows.reduce((acc, r) => core.addTotals(acc, r.sums), core.emptyTotals()));
+    body.push(['Total', ...core.NUTRIENTS.map(n => String(total[n.key])), total.cost.toFixed(2)]);
+  }
+  const widths = head.map((h, i) => Math.max(h.length, ...body.map(r => r[i].length)));
+  const line = r => r.map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join('  ').trimEnd();
+  return [line(head), widths.map(w => '-'.repeat(w)).join('  '), ...body.map(line)].join('\n');
+}
+
+function csvCell(v) {
+  const s = v == null ? '' : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCSV(header, rows) {
+  return [header, ...rows].map(r => r.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function csvFor(kind, data, args) {
+  const totalsHeader = [...core.NUTRIENTS.map(n => n.key), 'cost'];
+  const totals = s => [...core.NUTRIENTS.map(n => s[n.key]), s.cost];
+  switch (kind) {
+    case 'ingredients':
+      return toCSV(
+        ['id', 'name', 'brand', 'barcode', 'category', 'tags', ...core.NUTRIENTS.map(n => `${n.key}100`), 'pricePerKg', 'packageGrams', 'density', 'portions'],
+        data.ingredients.filter(i => !i.archived).map(i => [
+          i.id, i.name, i.brand, i.barcode, i.category, (i.tags || []).join('; '),
+          ...core.NUTRIENTS.map(n => i[`${n.key}100`]), i.pricePerKg, i.packageGrams, i.density,
+          core.ingredientPortions(i).map(p => `${p.name}=${p.grams}`).join('; '),
+        ]));
+    case 'meals':
+      return toCSV(['id', 'name', 'recipe', 'items', ...totalsHeader], mealRows(data).map(r => [r.id, r.label, r.recipe ? 'yes' : 'no', r.items, ...totals(r.sums)]));
+    case 'days':
+      return toCSV(['id', 'name', 'meals', ...totalsHeader], dayRows(data, { ...args, diary: false }).map(r => [r.id, r.label, r.items, ...totals(r.sums)]));
+    case 'diary':
+      return toCSV(['date', 'meals', ...totalsHeader], dayRows(data, { ...args, diary: true }).map(r => [r.label, r.items, ...totals(r.sums)]));
+  }
+  throw new UsageError(`csv needs one of: ${CSV_KINDS.join(', ')}`);
+}
+
+// Runs one command; returns the exit code. out/err are the streams to write to (swappable in tests).
+function run(argv, { out = process.stdout, err = process.stderr } = {}) {
+  let args;
+  try {
+    args = parseArgs(argv);
+    if (args.help || !args.positional.length) { (args.help ? out : err).write(USAGE + '\n'); return args.help ? 0 : 2; }
+    const [command, ...rest] = args.positional;
+    if (!['meals', 'days', 'validate', 'csv'].includes(command)) throw new UsageError(`Unknown command "${command}"`);
+    const kind = command === 'csv' ? rest.shift() : null;
+    if (command === 'csv' && !CSV_KINDS.includes(kind)) throw new UsageError(`csv needs one of: ${CSV_KINDS.join(', ')}`);
+    const file = rest[0] || 'foodsies-data.json';
+    const { data, from, errors } = loadExport(file);
+
+    if (command === 'validate') {
+      if (from < core.DATA_VERSION) out.write(`Data version ${from}, upgraded to ${core.DATA_VERSION} for checking (the file is not changed).\n`);
+      if (!errors.length) {
+        out.write(`OK: ${data.ingredients.length} ingredients, ${data.meals.length} meals, ${data.days.length} day plans, ${data.diary.length} diary dates.\n`);
+        return 0;
+      }
+      out.write(`${errors.length} problem(s):\n${errors.map(e => `  ${e}`).join('\n')}\n`);
+      return 1;
+    }
+    if (errors.length) err.write(`Warning: ${file} has ${errors.length} problem(s); totals may be incomplete. Run "foodsies validate" for details.\n`);
+    const currency = data.settings.currency || 'EUR';
+    let report;
+    try {
+      if (command === 'meals') report = formatTable(mealRows(data), 'Meal', currency) + '\n';
+      else if (command === 'days') report = formatTable(dayRows(data, args), args.diary ? 'Date' : 'Day plan', currency) + '\n';
+      else report = csvFor(kind, data, args);
+    } catch (e) {
+      // Records too broken to add up (e.g. a null meal item): show why instead of a TypeError
+      if (!errors.length || e instanceof UsageError) throw e;
+      err.write(`${file} can't be reported on because of these problems:\n${errors.map(x => `  ${x}`).join('\n')}\n`);
+      return 1;
+    }
+    out.write(report);
+    return 0;
+  } catch (e) {
+    if (e instanceof UsageError) { err.write(`${e.message}\n\n${USAGE}\n`); return 2; }
+    err.write(`${e.code === 'ENOENT' ? `File not found: ${e.path}` : e.message}\n`);
+    return 1;
+  }
+}
+
+if (require.main === module) process.exitCode = run(process.argv.slice(2));
+
+module.exports = { run, parseArgs, formatTable, toCSV, csvCell };
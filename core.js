@@ -0,0 +1,695 @@
+// Foodsies core: the data model, migrations, validation and nutrition math, with no DOM and no global state.
+// Functions that follow references between records take the data object first (sumMeal(data, meal)).
+// The browser loads this as a plain script (window.FoodsiesCore, used by app.js); Node require()s it (cli/, test/).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.FoodsiesCore = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+  'use strict';
+
+  /** Data shape (one per profile, see Storage in app.js)
+   * {
+   *   version: 5, // DATA_VERSION; older data is upgraded by MIGRATIONS
+   *   settings: { goalProfiles: [{ id, name, goals: Goals }], defaultGoalProfileId, units: 'metric'|'imperial',
+   *               language?: 'en'|'pt', locale?: BCP 47 tag (null = browser default), currency?: ISO 4217 code },
+   *   ingredients: [{ id, name, brand?, barcode?, kcal100, protein100, carbs100?, fat100?, satFat100?, fiber100?, sugar100?, salt100?,
+   *                   pricePerKg?, prices?: [PricePoint], packageGrams?, portions?: [{ name, grams }], density? (g/ml),
+   *                   category?, tags?: [string], notes?, archived?, archivedAt? }],
+   *   meals: [{ id, name, items: [MealItem], recipe?: { cookedGrams?, servings? } | null, targets?: Goals, archived?, archivedAt? }],
+   *   days: [{ id, name: string, items: [DayItem], goalProfileId? }],      // named plans, reusable as templates
+   *   diary: [{ id, date: 'YYYY-MM-DD', items: [DayItem], goalProfileId? }], // what was actually eaten, one entry per date
+   *   shopping: { days: { [dayId]: count }, checked: [ingredientId] } // shopping list selection
+   * }
+   * MealItem: { ingredientId, mode, portion?, amount } or, for a recipe used as an ingredient,
+   *   { recipeId, mode, amount } where a recipe's only portion is 'serving'
+   *   mode: a UNITS key ('grams', 'ml', 'oz', ...) or 'portion' with portion naming one of the ingredient's portions
+   *   (the first one when missing or no longer there). Volumes need the ingredient's density.
+   * A recipe's per-100g values come from its totals over its cooked weight (raw weight if not given).
+   * DayItem: { mealId, servings?: number (default 1), overrides?: { [ingredientId]: amount }, snapshot? }
+   *   overrides replace the meal's amount of that ingredient (in the item's own mode) for this day only
+   *   snapshot (diary only): the meal as it was when logged, each item carrying a frozen copy of its ingredient
+   *     { name, loggedAt, items: [{ ingredientId, mode, amount, ingredient: { name, kcal100, ..., pricePerKg, portions, density } }] }
+   *     (snapshots logged before version 5 have portionName/portionGrams instead of portions)
+   * PricePoint: { date: 'YYYY-MM-DD', pricePerKg, store? }; prices are kept oldest first and pricePerKg mirrors the latest one (or is null when there's no current price).
+   * Goals: { [nutrientKey]: { min: number|null, max: number|null } }; days without goalProfileId use the default profile.
+   * Deleting an ingredient or meal archives it, so references from meals, days and the diary keep resolving.
+   */
+
+  // Nutrients tracked per 100g. kcal and protein are required on ingredients, the rest may be null (unknown).
+  // goal: the settings key of the single goal before version 3; limit: how migration 3 turned it into a range.
+  const NUTRIENTS = [
+    { key: 'kcal', slug: 'kcal', label: 'Calories', short: 'kcal', unit: 'kcal', goal: 'goalKcal', limit: 'range' },
+    { key: 'protein', slug: 'protein', label: 'Protein', short: 'protein', unit: 'g', goal: 'goalProtein', limit: 'min' },
+    { key: 'carbs', slug: 'carbs', label: 'Carbs', short: 'carbs', unit: 'g', goal: 'goalCarbs', limit: 'range' },
+    { key: 'fat', slug: 'fat', label: 'Fat', short: 'fat', unit: 'g', goal: 'goalFat', limit: 'range' },
+    { key: 'satFat', slug: 'sat-fat', label: 'Saturated fat', short: 'sat. fat', unit: 'g', goal: 'goalSatFat', limit: 'max' },
+    { key: 'fiber', slug: 'fiber', label: 'Fiber', short: 'fiber', unit: 'g', goal: 'goalFiber', limit: 'min' },
+    { key: 'sugar', slug: 'sugar', label: 'Sugar', short: 'sugar', unit: 'g', goal: 'goalSugar', limit: 'max' },
+    { key: 'salt', slug: 'salt', label: 'Salt', short: 'salt', unit: 'g', goal: 'goalSalt', limit: 'max' },
+  ];
+  // The optional ones, shown as a secondary line next to kcal/protein
+  const MACROS = NUTRIENTS.slice(2);
+
+  // Units a meal item amount can be given in, besides the ingredient's named portions.
+  // Volumes convert through the ingredient's density; system says which display setting offers the unit.
+  const UNITS = {
+    grams: { label: 'g', grams: 1, system: 'metric' },
+    ml: { label: 'ml', ml: 1, system: 'metric' },
+    l: { label: 'l', ml: 1000, system: 'metric' },
+    oz: { label: 'oz', grams: 28.349523125, system: 'imperial' },
+    lb: { label: 'lb', grams: 453.59237, system: 'imperial' },
+    floz: { label: 'fl oz', ml: 29.5735295625, system: 'imperial' },
+    cup: { label: 'cup', ml: 236.5882365, system: 'imperial' },
+  };
+
+  function uid(prefix = 'id') {
+    return `${prefix}_${Math.random().toString(36).slice(2, 9)}`;
+  }
+
+  function isISODate(s) { return typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s); }
+
+  // Local calendar date as YYYY-MM-DD (toISOString would shift it to UTC)
+  function toISODate(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  function shiftISODate(iso, days) {
+    const [y, m, d] = iso.split('-').map(Number);
+    return toISODate(new Date(y, m - 1, d + days));
+  }
+
+  function defaultSettings() {
+    return { goalProfiles: [{ id: 'goals_default', name: 'Default', goals: {} }], defaultGoalProfileId: 'goals_default', units: 'metric', language: 'en', locale: null, currency: 'EUR' };
+  }
+
+  function defaultShopping() {
+    return { days: {}, checked: [] };
+  }
+
+  function emptyData() {
+    return { version: DATA_VERSION, settings: defaultSettings(), ingredients: [], meals: [], days: [], diary: [], shopping: defaultShopping() };
+  }
+
+  // ---------- Data versions, migrations and validation ----------
+  // Bump DATA_VERSION and add a MIGRATIONS entry whenever the stored shape changes.
+  // Migrations run on load and on import, so both always end up with the current shape.
+  const DATA_VERSION = 5;
+
+  // MIGRATIONS[n] upgrades data from version n-1 to n, in place
+  const MIGRATIONS = {
+    // v2: the fixes loadData used to apply inline on every load
+    2(data) {
+      data.settings = { ...defaultSettings(), ...(data.settings || {}) };
+      if (!Array.isArray(data.ingredients)) data.ingredients = [];
+      // Ensure ingredient pricePerKg and the optional macros exist
+      data.ingredients = data.ingredients.map(i => {
+        if (!i || typeof i !== 'object') return i;
+        const out = { ...i, pricePerKg: (i.pricePerKg ?? null) };
+        MACROS.forEach(n => { out[n.key + '100'] = i[n.key + '100'] ?? null; });
+        return out;
+      });
+      if (!Array.isArray(data.meals)) data.meals = [];
+      if (!Array.isArray(data.days)) data.days = [];
+      if (!Array.isArray(data.diary)) data.diary = [];
+      // Old dated days (no name) belong in the diary
+      data.days = data.days.filter(d => {
+        if (d && !d.name && isISODate(d.date) && !data.diary.some(e => e.date === d.date)) {
+          data.diary.push({ id: d.id || uid('diary'), date: d.date, items: Array.isArray(d.items) ? d.items : [] });
+          return false;
+        }
+        return true;
+      });
+      data.diary = data.diary
+        .filter(e => e && isISODate(e.date))
+        .map(e => ({ ...e, id: e.id || uid('diary'), items: Array.isArray(e.items) ? e.items : [] }));
+      data.shopping = { ...defaultShopping(), ...(data.shopping || {}) };
+      // Migrate day.date -> day.name (if needed)
+      data.days = data.days.filter(Boolean).map(d => {
+        if (!d.name && d.date) {
+          return { id: d.id || uid('day'), name: d.date, items: Array.isArray(d.items) ? d.items : [] };
+        }
+        return { ...d, id: d.id || uid('day'), name: d.name || 'Untitled', items: Array.isArray(d.items) ? d.items : [] };
+      });
+    },
+    // v3: the single goal per nutrient becomes a range in a "Default" goal profile
+    3(data) {
+      const old = data.settings || {};
+      const goals = {};
+      NUTRIENTS.forEach(n => {
+        const g = old[n.goal];
+        delete old[n.goal];
+        if (typeof g !== 'number') return;
+        if (n.limit === 'min') goals[n.key] = { min: g, max: null };
+        else if (n.limit === 'max') goals[n.key] = { min: null, max: g };
+        else goals[n.key] = { min: round1(g * 0.95), max: round1(g * 1.05) };
+      });
+      data.settings = { ...old, goalProfiles: [{ id: 'goals_default', name: 'Default', goals }], defaultGoalProfileId: 'goals_default' };
+    },
+    // v4: price history; the single price becomes the first entry, dated the day of the upgrade
+    4(data) {
+      const today = toISODate(new Date());
+      data.ingredients.forEach(i => {
+        if (!i || typeof i !== 'object' || Array.isArray(i.prices)) return;
+        i.prices = typeof i.pricePerKg === 'number' ? [{ date: today, pricePerKg: i.pricePerKg, store: null }] : [];
+      });
+    },
+    // v5: a list of named portions and an optional density instead of one portionName/portionGrams
+    5(data) {
+      data.ingredients.forEach(i => {
+        if (!i || typeof i !== 'object' || Array.isArray(i.portions)) return;
+        i.portions = i.portionName && i.portionGrams ? [{ name: i.portionName, grams: i.portionGrams }] : [];
+        i.density = i.density ?? null;
+        delete i.portionName;
+        delete i.portionGrams;
+      });
+    },
+  };
+
+  // Returns { data, from } with data upgraded to DATA_VERSION; the input is left untouched.
+  // Data without a version predates versioning and counts as version 1.
+  // What migrating unversioned (v1) data would quietly replace or drop: collections that aren't lists, and day
+  // plans or diary dates that aren't objects or have no usable date. validateData only sees the result.
+  function checkUnmigrated(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input) || (Number.isInteger(input.version) && input.version > 1)) return [];
+    const errors = [];
+    ['ingredients', 'meals', 'days', 'diary'].forEach(k => {
+      if (input[k] !== undefined && !Array.isArray(input[k])) errors.push(`${k}: not a list (got ${JSON.stringify(input[k])})`);
+    });
+    if (Array.isArray(input.days)) input.days.forEach((d, i) => { if (!d || typeof d !== 'object') errors.push(`days[${i}]: not an object`); });
+    if (Array.isArray(input.diary)) {
+      input.diary.forEach((e, i) => {
+        if (!e || typeof e !== 'object') errors.push(`diary[${i}]: not an object`);
+        else if (!isISODate(e.date)) errors.push(`diary[${i}]: date must be YYYY-MM-DD (got ${JSON.stringify(e.date)})`);
+      });
+    }
+    return errors;
+  }
+
+  function migrateData(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('The file does not contain a Foodsies data object.');
+    const data = JSON.parse(JSON.stringify(input));
+    const from = Number.isInteger(data.version) && data.version > 0 ? data.version : 1;
+    if (from > DATA_VERSION) {
+      throw new Error(`This data was saved by a newer version of Foodsies (data version ${from}); this app only understands up to version ${DATA_VERSION}. Update the app to open it.`);
+    }
+    for (let v = from + 1; v <= DATA_VERSION; v++) {
+      MIGRATIONS[v](data);
+      data.version = v;
+    }
+    data.version = DATA_VERSION;
+    // Parts a hand-edited or trimmed file may leave out
+    data.settings = { ...defaultSettings(), ...(data.settings || {}) };
+    data.shopping = { ...defaultShopping(), ...(data.shopping || {}) };
+    return { data, from };
+  }
+
+  // Field types: 'id' and 'name' non-empty string, 'str' string, 'num' number ≥ 0, 'bool', 'date' YYYY-MM-DD,
+  // 'list' array, 'obj' object, 'mode' 'portion' or a UNITS key. A trailing '?' also allows null or missing.
+  // Fields not listed are left alone.
+  const RECORD_SCHEMAS = {
+    settings: { goalProfiles: 'list', defaultGoalProfileId: 'str?', units: 'str?', language: 'str?', locale: 'str?', currency: 'str?' },
+    goalProfile: { id: 'id', name: 'name', goals: 'obj' },
+    goalRange: { min: 'num?', max: 'num?' },
+    pricePoint: { date: 'date', pricePerKg: 'num', store: 'str?' },
+    portion: { name: 'name', grams: 'num' },
+    ingredients: {
+      id: 'id', name: 'name', brand: 'str?', barcode: 'str?', kcal100: 'num', protein100: 'num',
+      ...Object.fromEntries(MACROS.map(n => [n.key + '100', 'num?'])),
+      pricePerKg: 'num?', prices: 'list?', packageGrams: 'num?', portions: 'list?', density: 'num?', category: 'str?', tags: 'list?', notes: 'str?', archived: 'bool?', archivedAt: 'str?',
+    },
+    meals: { id: 'id', name: 'str', items: 'list', recipe: 'obj?', targets: 'obj?', archived: 'bool?', archivedAt: 'str?' },
+    mealItem: { ingredientId: 'str?', recipeId: 'str?', mode: 'mode', portion: 'str?', amount: 'num' },
+    days: { id: 'id', name: 'str', items: 'list', goalProfileId: 'str?' },
+    diary: { id: 'id', date: 'date', items: 'list', goalProfileId: 'str?' },
+    dayItem: { mealId: 'id', servings: 'num?', overrides: 'obj?', snapshot: 'obj?' },
+  };
+
+  function checkFieldType(v, type) {
+    const optional = type.endsWith('?');
+    const t = optional ? type.slice(0, -1) : type;
+    if (v == null) return optional ? null : 'is missing';
+    switch (t) {
+      case 'id': return typeof v === 'string' && v ? null : 'must be a non-empty string';
+      case 'name': return typeof v === 'string' && v.trim() ? null : 'must be non-empty text';
+      case 'str': return typeof v === 'string' ? null : 'must be text';
+      case 'num': return typeof v === 'number' && Number.isFinite(v) && v >= 0 ? null : 'must be a number ≥ 0';
+      case 'bool': return typeof v === 'boolean' ? null : 'must be true or false';
+      case 'date': return isISODate(v) ? null : 'must be a date (YYYY-MM-DD)';
+      case 'list': return Array.isArray(v) ? null : 'must be a list';
+      case 'obj': return typeof v === 'object' && !Array.isArray(v) ? null : 'must be an object';
+      case 'mode': return v === 'portion' || Object.hasOwn(UNITS, v) ? null : `must be "portion" or a unit (${Object.keys(UNITS).join(', ')})`;
+    }
+    return null;
+  }
+
+  function checkRecord(errors, at, rec, schema) {
+    if (!rec || typeof rec !== 'object' || Array.isArray(rec)) { errors.push(`${at}: not an object`); return false; }
+    Object.entries(schema).forEach(([field, type]) => {
+      const problem = checkFieldType(rec[field], type);
+      if (problem) errors.push(`${at}: ${field} ${problem} (got ${JSON.stringify(rec[field])})`);
+    });
+    return true;
+  }
+
+  // Checks every record against RECORD_SCHEMAS plus ids and references.
+  // Messages read "<collection>[<index>] "<name>": <field> <problem>" so the record can be found.
+  function validateData(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return ['The file does not contain a Foodsies data object.'];
+    ['ingredients', 'meals', 'days', 'diary'].forEach(k => { if (!Array.isArray(data[k])) errors.push(`${k}: missing or not a list`); });
+    if (errors.length) return errors;
+    const checkGoals = (at, goals) => Object.entries(goals).forEach(([key, r]) => {
+      if (!checkRecord(errors, `${at}: goals.${key}`, r, RECORD_SCHEMAS.goalRange)) return;
+      if (r.min != null && r.max != null && r.min > r.max) errors.push(`${at}: goals.${key} min is above max`);
+    });
+    if (data.settings != null && checkRecord(errors, 'settings', data.settings, RECORD_SCHEMAS.settings) && Array.isArray(data.settings.goalProfiles)) {
+      data.settings.goalProfiles.forEach((p, i) => {
+        const at = `settings.goalProfiles[${i}]${typeof p?.name === 'string' ? ` "${p.name}"` : ''}`;
+        if (checkRecord(errors, at, p, RECORD_SCHEMAS.goalProfile) && p.goals && typeof p.goals === 'object') checkGoals(at, p.goals);
+      });
+    }
+    const where = (coll, i, r) => `${coll}[${i}]${r && typeof r.name === 'string' ? ` "${r.name}"` : r && r.date ? ` ${r.date}` : ''}`;
+    const idsOf = (coll) => {
+      const ids = new Set();
+      data[coll].forEach((r, i) => {
+        if (!r || typeof r.id !== 'string') return;
+        if (ids.has(r.id)) errors.push(`${where(coll, i, r)}: id "${r.id}" is used twice`);
+        ids.add(r.id);
+      });
+      return ids;
+    };
+    const ingIds = idsOf('ingredients'), mealIds = idsOf('meals');
+    idsOf('days'); idsOf('diary');
+    data.ingredients.forEach((r, i) => {
+      const at = where('ingredients', i, r);
+      if (!checkRecord(errors, at, r, RECORD_SCHEMAS.ingredients)) return;
+      if (Array.isArray(r.prices)) r.prices.forEach((p, j) => checkRecord(errors, `${at}: prices[${j}]`, p, RECORD_SCHEMAS.pricePoint));
+      if (Array.isArray(r.portions)) r.portions.forEach((p, j) => checkRecord(errors, `${at}: portions[${j}]`, p, RECORD_SCHEMAS.portion));
+      if (Array.isArray(r.tags)) r.tags.forEach((t, j) => { if (typeof t !== 'string' || !t.trim()) errors.push(`${at}: tags[${j}] must be non-empty text (got ${JSON.stringify(t)})`); });
+    });
+    data.meals.forEach((r, i) => {
+      const at = where('meals', i, r);
+      if (!checkRecord(errors, at, r, RECORD_SCHEMAS.meals) || !Array.isArray(r.items)) return;
+      if (r.targets && typeof r.targets === 'object') checkGoals(at, r.targets);
+      r.items.forEach((it, j) => {
+        const iat = `${at}: items[${j}]`;
+        if (!checkRecord(errors, iat, it, RECORD_SCHEMAS.mealItem)) return;
+        if (it.recipeId != null) { if (!mealIds.has(it.recipeId)) errors.push(`${iat}: recipeId "${it.recipeId}" does not match any meal`); }
+        else if (!ingIds.has(it.ingredientId)) errors.push(`${iat}: ingredientId ${JSON.stringify(it.ingredientId)} does not match any ingredient`);
+      });
+    });
+    const checkDays = (coll) => data[coll].forEach((r, i) => {
+      const at = where(coll, i, r);
+      if (!checkRecord(errors, at, r, RECORD_SCHEMAS[coll]) || !Array.isArray(r.items)) return;
+      r.items.forEach((it, j) => {
+        const iat = `${at}: items[${j}]`;
+        if (!checkRecord(errors, iat, it, RECORD_SCHEMAS.dayItem)) return;
+        if (typeof it.mealId === 'string' && !mealIds.has(it.mealId)) errors.push(`${iat}: mealId "${it.mealId}" does not match any meal`);
+      });
+    });
+    checkDays('days');
+    checkDays('diary');
+    return errors;
+  }
+
+  // ---------- Math ----------
+  function round1(n) { return Math.round((n + Number.EPSILON) * 10) / 10; }
+  function round2(n) { return Math.round((n + Number.EPSILON) * 100) / 100; }
+
+  // Reads a typed number, like parseFloat but with decimal commas: "3,49", "3.49" and "1.234,5" all work.
+  // group is the locale's thousands separator: "1,500" is 1500 where it is ',', and "1.500" where it is '.'.
+  // A lone mark after a leading 0 ("0.500") is always a decimal. NaN when empty or not a number.
+  function parseDecimal(v, group) {
+    if (typeof v === 'number') return v;
+    const s = String(v ?? '').trim().replace(/[\s'’]/g, '');
+    if (!s) return NaN;
+    const comma = s.lastIndexOf(','), dot = s.lastIndexOf('.');
+    let plain;
+    if (comma !== -1 && dot !== -1) {
+      // Both marks: the last one is the decimal mark
+      plain = comma > dot ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+    } else if (comma !== -1 || dot !== -1) {
+      const mark = comma !== -1 ? ',' : '.';
+      if (mark === group && new RegExp(`^-?[1-9]\\d{0,2}(\\${mark}\\d{3})+$`).test(s)) plain = s.split(mark).join('');
+      else plain = s.split(mark).length === 2 ? s.replace(mark, '.') : 'NaN';
+    } else plain = s;
+    const n = Number(plain);
+    return Number.isFinite(n) ? n : NaN;
+  }
+
+  function getIngredient(data, id) { return data.ingredients.find(i => i.id === id); }
+  function getMeal(data, id) { return data.meals.find(m => m.id === id); }
+
+  function computeFrom100g(ing, grams) {
+    const ratio = grams / 100;
+    const res = {};
+    NUTRIENTS.forEach(n => { res[n.key] = round1((ing[n.key + '100'] || 0) * ratio); });
+    res.cost = ing.pricePerKg ? round2((ing.pricePerKg / 1000) * grams) : 0;
+    return res;
+  }
+
+  function itemSourceId(it) { return it.recipeId || it.ingredientId; }
+
+  // The ingredient-like values of a meal item: a snapshot's frozen copy, a recipe's derived values or the ingredient
+  function resolveItemSource(data, it, stack) {
+    if (it.ingredient) return it.ingredient;
+    if (it.recipeId) {
+      const meal = getMeal(data, it.recipeId);
+      return meal ? recipeAsIngredient(data, meal, stack) : null;
+    }
+    return getIngredient(data, it.ingredientId);
+  }
+
+  function rawMealGrams(data, meal, stack = new Set()) {
+    const inner = new Set(stack).add(meal.id);
+    return meal.items.reduce((sum, it) => {
+      const src = resolveItemSource(data, it, inner);
+      return src ? sum + itemGrams(src, it) : sum;
+    }, 0);
+  }
+
+  function recipeYieldGrams(data, meal, stack) {
+    return meal.recipe?.cookedGrams || rawMealGrams(data, meal, stack);
+  }
+
+  // A recipe seen as an ingredient: per-100g values over its cooked weight, a serving as its portion
+  function recipeAsIngredient(data, meal, stack = new Set()) {
+    if (stack.has(meal.id)) return { id: meal.id, name: meal.name, recipe: true }; // cycle: contributes nothing
+    const sums = sumMeal(data, meal, stack);
+    const grams = recipeYieldGrams(data, meal, stack);
+    const ing = { id: meal.id, name: meal.name, recipe: true };
+    NUTRIENTS.forEach(n => { ing[n.key + '100'] = grams ? sums[n.key] / grams * 100 : 0; });
+    ing.pricePerKg = grams ? sums.cost / grams * 1000 : null;
+    ing.portions = meal.recipe?.servings ? [{ name: 'serving', grams: grams / meal.recipe.servings }] : [];
+    return ing;
+  }
+
+  // True when the meal uses, directly or through other recipes, a recipe that contains the meal itself
+  function hasRecipeCycle(data, meal) {
+    const seen = new Set();
+    const visit = m => m.items.some(it => {
+      if (!it.recipeId) return false;
+      if (it.recipeId === meal.id) return true;
+      if (seen.has(it.recipeId)) return false;
+      seen.add(it.recipeId);
+      const r = getMeal(data, it.recipeId);
+      return r ? visit(r) : false;
+    });
+    return visit(meal);
+  }
+
+  // An ingredient's named portions, the first being the default
+  function ingredientPortions(ing) {
+    if (Array.isArray(ing.portions)) return ing.portions;
+    return ing.portionName && ing.portionGrams ? [{ name: ing.portionName, grams: ing.portionGrams }] : [];
+  }
+
+  function getPortion(ing, name) {
+    const list = ingredientPortions(ing);
+    return list.find(p => p.name === name) || list[0] || null;
+  }
+
+  // Grams of an item's amount; 0 when its unit can't be converted (no such portion, no density)
+  function itemGrams(ing, it) {
+    const amount = it.amount || 0;
+    if (it.mode === 'portion') return (getPortion(ing, it.portion)?.grams || 0) * amount;
+    const unit = UNITS[it.mode] || UNITS.grams;
+    return unit.ml ? (ing.density || 0) * unit.ml * amount : unit.grams * amount;
+  }
+
+  function computeItem(ing, it) {
+    return computeFrom100g(ing, itemGrams(ing, it));
+  }
+
+  function computeFromPortion(ing, portions, name) {
+    return computeFrom100g(ing, itemGrams(ing, { mode: 'portion', portion: name, amount: portions }));
+  }
+
+  function emptyTotals() {
+    const t = { cost: 0 };
+    NUTRIENTS.forEach(n => { t[n.key] = 0; });
+    return t;
+  }
+
+  function addTotals(acc, res) {
+    NUTRIENTS.forEach(n => { acc[n.key] += res[n.key] || 0; });
+    acc.cost += res.cost || 0;
+    return acc;
+  }
+
+  function roundTotals(t) {
+    const out = { cost: round2(t.cost) };
+    NUTRIENTS.forEach(n => { out[n.key] = round1(t[n.key]); });
+    return out;
+  }
+
+  function scaleTotals(t, factor) {
+    const out = { cost: round2(t.cost * factor) };
+    NUTRIENTS.forEach(n => { out[n.key] = round1(t[n.key] * factor); });
+    return out;
+  }
+
+  // Snapshot items carry their own frozen ingredient; live meal items are resolved from data.
+  // stack holds the recipes being summed, so a cycle in bad data counts as empty instead of recursing forever.
+  function sumMeal(data, meal, stack = new Set()) {
+    const totals = emptyTotals();
+    if (meal.id && stack.has(meal.id)) return roundTotals(totals);
+    const inner = new Set(stack);
+    if (meal.id) inner.add(meal.id);
+    for (const it of meal.items) {
+      const ing = resolveItemSource(data, it, inner);
+      if (!ing) continue;
+      addTotals(totals, computeItem(ing, it));
+    }
+    return roundTotals(totals);
+  }
+
+  // A copy of the meal with a day item's per-ingredient overrides applied.
+  // An overridden ingredient collapses into its first occurrence, holding the override amount.
+  function mealWithOverrides(meal, overrides) {
+    if (!overrides || !Object.keys(overrides).length) return meal;
+    const seen = new Set();
+    const items = [];
+    for (const it of meal.items) {
+      const id = itemSourceId(it);
+      if (!(id in overrides)) { items.push(it); continue; }
+      if (seen.has(id)) continue;
+      seen.add(id);
+      items.push({ ...it, amount: overrides[id] });
+    }
+    return { ...meal, items };
+  }
+
+  // The nutrition-relevant fields of an ingredient, frozen into diary snapshots
+  function frozenIngredient(ing) {
+    const out = { name: ing.name, pricePerKg: ing.pricePerKg ?? null, portions: ingredientPortions(ing).map(p => ({ ...p })), density: ing.density ?? null };
+    NUTRIENTS.forEach(n => { out[n.key + '100'] = ing[n.key + '100'] ?? null; });
+    return out;
+  }
+
+  // A day or diary item's totals: its snapshot (or the live meal) with overrides, times its servings
+  function sumDayItem(data, it) {
+    const meal = it.snapshot || getMeal(data, it.mealId);
+    if (!meal) return null;
+    return scaleTotals(sumMeal(data, mealWithOverrides(meal, it.overrides)), it.servings ?? 1);
+  }
+
+  function sumDay(data, day) {
+    const totals = emptyTotals();
+    for (const it of day.items) {
+      const sums = sumDayItem(data, it);
+      if (!sums) continue;
+      addTotals(totals, sums);
+    }
+    return roundTotals(totals);
+  }
+
+  // ---------- Data health ----------
+  // Problems validateData lets through: well-formed data that is broken or suspicious, such as references to
+  // records that are gone, duplicate ids, empty meals, units an item can't be converted with, and implausible
+  // nutrition values. Each problem is { kind, severity: 'error'|'warning', message, text, vars, ref: { collection, id, date? },
+  // fix? } where message is the English template text with its {placeholders} filled from vars (the app translates
+  // text instead), and fix, when present, is { label, ... } for fixDataProblem.
+
+  // fillText('Meal {name} has no items', { name: '"Bowl"' }); placeholders without a value stay as they are
+  function fillText(text, vars) {
+    return text.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m));
+  }
+
+  // Per 100g, kcal should be close to 4 per g of protein and carbs, 9 per g of fat and 2 per g of fiber
+  function expectedKcal100(ing) {
+    if (ing.carbs100 == null || ing.fat100 == null) return null;
+    return 4 * ing.protein100 + 4 * ing.carbs100 + 9 * ing.fat100 + 2 * (ing.fiber100 || 0);
+  }
+
+  // [{ text, vars }] like the problems' own
+  function implausibleValues(ing) {
+    const out = [];
+    const add = (text, vars = {}) => out.push({ text, vars });
+    NUTRIENTS.slice(1).forEach(n => {
+      if (ing[n.key + '100'] > 100) add('{nutrient} is {value} g per 100g', { nutrient: n.label.toLowerCase(), value: ing[n.key + '100'] });
+    });
+    const macros = ing.protein100 + (ing.carbs100 || 0) + (ing.fat100 || 0) + (ing.fiber100 || 0);
+    if (macros > 105 && !out.length) add('protein, carbs, fat and fiber add up to {value} g per 100g', { value: round1(macros) });
+    if (ing.kcal100 > 900) add('{kcal} kcal per 100g is more than pure fat', { kcal: ing.kcal100 });
+    if (ing.satFat100 != null && ing.fat100 != null && ing.satFat100 > ing.fat100) add('saturated fat is more than total fat');
+    if (ing.sugar100 != null && ing.carbs100 != null && ing.sugar100 > ing.carbs100) add('sugar is more than total carbs');
+    const expected = expectedKcal100(ing);
+    if (expected != null && Math.abs(ing.kcal100 - expected) > Math.max(25, expected * 0.2)) {
+      add('{kcal} kcal per 100g, but its macros add up to about {expected} kcal', { kcal: ing.kcal100, expected: Math.round(expected) });
+    }
+    ingredientPortions(ing).forEach(p => { if (!(p.grams > 0)) add('portion "{portion}" weighs nothing', { portion: p.name }); });
+    return out;
+  }
+
+  function checkDataHealth(data) {
+    const problems = [];
+    const add = (severity, kind, text, vars, ref, fix) => problems.push({ kind, severity, message: fillText(text, vars), text, vars, ref, ...(fix ? { fix } : {}) });
+    const label = (r) => (typeof r.name === 'string' && r.name ? `"${r.name}"` : r.date || r.id);
+    const ingIds = new Set(data.ingredients.map(i => i.id));
+    const mealIds = new Set(data.meals.map(m => m.id));
+    const dayIds = new Set(data.days.map(d => d.id));
+    const profileIds = new Set((data.settings?.goalProfiles || []).map(p => p.id));
+
+    ['ingredients', 'meals', 'days', 'diary'].forEach(coll => {
+      const seen = new Set();
+      data[coll].forEach((r, index) => {
+        if (seen.has(r.id)) {
+          add('error', 'duplicate-id', '{record} {name} has the same id "{id}" as an earlier record', { record: `${coll}[${index}]`, name: label(r), id: r.id },
+            { collection: coll, id: r.id, date: r.date }, { label: 'Give it a new id', action: 'new-id', collection: coll, index });
+        }
+        seen.add(r.id);
+      });
+    });
+
+    data.meals.forEach(meal => {
+      const ref = { collection: 'meals', id: meal.id };
+      if (!meal.archived && !meal.items.length) {
+        add('warning', 'empty-meal', 'Meal {name} has no items', { name: label(meal) }, ref, { label: 'Archive it', action: 'archive-meal', mealId: meal.id });
+      }
+      if (hasRecipeCycle(data, meal)) add('error', 'recipe-cycle', 'Meal {name} uses a recipe that contains itself', { name: label(meal) }, ref);
+      meal.items.forEach((it, index) => {
+        const fix = { label: 'Remove the item', action: 'remove-meal-item', mealId: meal.id, index };
+        if (it.recipeId != null) {
+          if (!mealIds.has(it.recipeId)) add('error', 'missing-recipe', 'Meal {name} uses recipe "{id}", which doesn\'t exist', { name: label(meal), id: it.recipeId }, ref, fix);
+          return;
+        }
+        const ing = getIngredient(data, it.ingredientId);
+        if (!ing) { add('error', 'missing-ingredient', 'Meal {name} uses ingredient "{id}", which doesn\'t exist', { name: label(meal), id: it.ingredientId }, ref, fix); return; }
+        const ingRef = { collection: 'ingredients', id: ing.id };
+        if (it.mode === 'portion' && !ingredientPortions(ing).length) {
+          add('error', 'no-portion', 'Meal {name} counts {ingredient} in portions, but {ingredient} has none; it adds nothing', { name: label(meal), ingredient: label(ing) }, ingRef);
+        } else if (UNITS[it.mode]?.ml && !(ing.density > 0)) {
+          add('error', 'no-density', 'Meal {name} measures {ingredient} in {unit}, but {ingredient} has no density; it adds nothing',
+            { name: label(meal), ingredient: label(ing), unit: UNITS[it.mode].label }, ingRef);
+        }
+      });
+    });
+
+    ['days', 'diary'].forEach(coll => data[coll].forEach(day => {
+      const ref = { collection: coll, id: day.id, date: day.date };
+      const what = coll === 'days' ? 'Day plan {name}' : 'Diary {name}';
+      const name = coll === 'days' ? label(day) : day.date;
+      day.items.forEach((it, index) => {
+        // A logged meal keeps its snapshot, so the diary still adds up without the meal
+        if (!mealIds.has(it.mealId) && !it.snapshot) {
+          add('error', 'missing-meal', `${what} uses meal "{id}", which doesn't exist`, { name, id: it.mealId }, ref,
+            { label: 'Remove the item', action: 'remove-day-item', collection: coll, dayId: day.id, index });
+        }
+      });
+      if (day.goalProfileId && !profileIds.has(day.goalProfileId)) {
+        add('warning', 'missing-goal-profile', `${what} uses a goal profile that doesn't exist`, { name }, ref,
+          { label: 'Use the default profile', action: 'clear-goal-profile', collection: coll, dayId: day.id });
+      }
+    }));
+
+    if (data.settings && !profileIds.has(data.settings.defaultGoalProfileId) && profileIds.size) {
+      add('warning', 'missing-default-profile', "The default goal profile doesn't exist", {}, { collection: 'settings' },
+        { label: 'Use the first profile', action: 'reset-default-profile' });
+    }
+    const shopping = data.shopping || {};
+    Object.keys(shopping.days || {}).filter(id => !dayIds.has(id)).forEach(id => {
+      add('warning', 'missing-shopping-day', 'The shopping list includes day plan "{id}", which doesn\'t exist', { id }, { collection: 'shopping' },
+        { label: 'Remove it', action: 'remove-shopping-day', dayId: id });
+    });
+    (shopping.checked || []).filter(id => !ingIds.has(id)).forEach(id => {
+      add('warning', 'missing-shopping-item', 'The shopping list has ingredient "{id}" checked off, which doesn\'t exist', { id }, { collection: 'shopping' },
+        { label: 'Remove it', action: 'remove-shopping-item', ingredientId: id });
+    });
+
+    data.ingredients.filter(i => !i.archived).forEach(ing => {
+      implausibleValues(ing).forEach(what => add('warning', 'implausible', `{name}: ${what.text}`, { ...what.vars, name: label(ing) }, { collection: 'ingredients', id: ing.id }));
+    });
+    return problems.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+  }
+
+  // Applies a problem's fix to data in place; false when there is nothing to do (e.g. it was already fixed)
+  function fixDataProblem(data, problem) {
+    const fix = problem.fix;
+    if (!fix) return false;
+    switch (fix.action) {
+      case 'new-id': {
+        const rec = data[fix.collection][fix.index];
+        if (!rec) return false;
+        rec.id = uid(fix.collection === 'ingredients' ? 'ing' : fix.collection === 'meals' ? 'meal' : fix.collection === 'days' ? 'day' : 'diary');
+        return true;
+      }
+      case 'archive-meal': {
+        const meal = getMeal(data, fix.mealId);
+        if (!meal || meal.archived) return false;
+        meal.archived = true;
+        meal.archivedAt = new Date().toISOString();
+        return true;
+      }
+      case 'remove-meal-item': {
+        const meal = getMeal(data, fix.mealId);
+        if (!meal?.items[fix.index]) return false;
+        meal.items.splice(fix.index, 1);
+        return true;
+      }
+      case 'remove-day-item': {
+        const day = data[fix.collection].find(d => d.id === fix.dayId);
+        if (!day?.items[fix.index]) return false;
+        day.items.splice(fix.index, 1);
+        return true;
+      }
+      case 'clear-goal-profile': {
+        const day = data[fix.collection].find(d => d.id === fix.dayId);
+        if (!day?.goalProfileId) return false;
+        delete day.goalProfileId;
+        return true;
+      }
+      case 'reset-default-profile':
+        data.settings.defaultGoalProfileId = data.settings.goalProfiles[0]?.id ?? null;
+        return true;
+      case 'remove-shopping-day':
+        if (!(fix.dayId in data.shopping.days)) return false;
+        delete data.shopping.days[fix.dayId];
+        return true;
+      case 'remove-shopping-item':
+        data.shopping.checked = data.shopping.checked.filter(id => id !== fix.ingredientId);
+        return true;
+    }
+    return false;
+  }
+
+  // Applies every fixable problem, re-checking after each fix since fixes shift indexes; returns how many were fixed
+  function fixAllDataProblems(data) {
+    let fixed = 0;
+    for (let guard = 0; guard < 10000; guard++) {
+      const problem = checkDataHealth(data).find(p => p.fix);
+      if (!problem || !fixDataProblem(data, problem)) break;
+      fixed++;
+    }
+    return fixed;
+  }
+
+  return {
+    NUTRIENTS, MACROS, UNITS, DATA_VERSION, MIGRATIONS, RECORD_SCHEMAS, uid, isISODate, toISODate, shiftISODate,
+    defaultSettings, defaultShopping, emptyData, checkUnmigrated, migrateData, checkFieldType, checkRecord, validateData, round1,
+    round2, parseDecimal, getIngredient, getMeal, computeFrom100g, itemSourceId, resolveItemSource, rawMealGrams, recipeYieldGrams,
+    recipeAsIngredient, hasRecipeCycle, ingredientPortions, getPortion, itemGrams, computeItem, computeFromPortion,
+    emptyTotals, addTotals, roundTotals, scaleTotals, sumMeal, mealWithOverrides, frozenIngredient, sumDayItem,
+    sumDay, fillText, checkDataHealth, fixDataProblem, fixAllDataProblems,
+  };
+});
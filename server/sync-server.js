@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+// Reference sync server for Foodsies (Settings → Sync). No dependencies, Node 18+.
+//
+//   node server/sync-server.js [--port 8787] [--dir ./foodsies-sync] [--token secret]
+//
+// Every URL path is its own space, e.g. http://localhost:8787/alice, stored as <dir>/alice.json.
+// A space holds records keyed like "ingredients:<id>", "settings" or "shopping", each with the
+// server revision that last changed it:
+//   GET  <space>/changes?since=<rev>  -> { rev, records: { key: { rev, value, deleted } } } changed after <rev>
+//   POST <space>/changes { changes: [{ key, baseRev, value, deleted }] }
+//        -> { rev, applied: [{ key, rev }], conflicts: [{ key, rev, value, deleted }] }
+// A change is applied only when baseRev is the record's current revision (0 for new records);
+// otherwise the current server record comes back as a conflict for the client to resolve.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+function option(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const port = Number(option('port', process.env.PORT || 8787));
+const dir = path.resolve(option('dir', process.env.FOODSIES_SYNC_DIR || './foodsies-sync'));
+const token = option('token', process.env.FOODSIES_SYNC_TOKEN || '');
+
+fs.mkdirSync(dir, { recursive: true });
+const spaces = new Map(); // name -> { rev, records }
+
+function spaceFile(name) {
+  return path.join(dir, `${name}.json`);
+}
+
+function loadSpace(name) {
+  if (!spaces.has(name)) {
+    let space = { rev: 0, records: {} };
+    try { space = JSON.parse(fs.readFileSync(spaceFile(name), 'utf8')); } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    spaces.set(name, space);
+  }
+  return spaces.get(name);
+}
+
+function saveSpace(name, space) {
+  // Write then rename so a crash never leaves half a file behind
+  const file = spaceFile(name);
+  fs.writeFileSync(file + '.tmp', JSON.stringify(space));
+  fs.renameSync(file + '.tmp', file);
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) { reject(Object.assign(new Error('Request too large'), { status: 413 })); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}')); } catch { reject(Object.assign(new Error('Body is not valid JSON'), { status: 400 })); }
+    });
+    req.on('error', reject);
+  });
+}
+
+function pull(space, since) {
+  const records = {};
+  Object.entries(space.records).forEach(([key, r]) => { if (r.rev > since) records[key] = r; });
+  return { rev: space.rev, records };
+}
+
+function push(space, changes) {
+  const applied = [], conflicts = [];
+  changes.forEach(c => {
+    if (!c || typeof c.key !== 'string') return;
+    const current = space.records[c.key];
+    if ((current?.rev || 0) !== (Number(c.baseRev) || 0)) {
+      conflicts.push({ key: c.key, ...current });
+      return;
+    }
+    space.rev++;
+    space.records[c.key] = { rev: space.rev, value: c.deleted ? null : c.value, deleted: !!c.deleted, updatedAt: new Date().toISOString() };
+    applied.push({ key: c.key, rev: space.rev });
+  });
+  return { rev: space.rev, applied, conflicts };
+}
+
+const server = http.createServer(async (req, res) => {
+  // The app is usually served from another origin (or file://)
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
+  try {
+    if (token && req.headers.authorization !== `Bearer ${token}`) { send(res, 401, { error: 'Missing or wrong token' }); return; }
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/(?:([\w-]+)\/)?changes$/);
+    if (!match) { send(res, 404, { error: 'Use <space>/changes' }); return; }
+    const name = match[1] || 'default';
+    const space = loadSpace(name);
+    if (req.method === 'GET') {
+      send(res, 200, pull(space, Number(url.searchParams.get('since')) || 0));
+    } else if (req.method === 'POST') {
+      const body = await readBody(req);
+      if (!Array.isArray(body.changes)) { send(res, 400, { error: 'changes must be a list' }); return; }
+      const result = push(space, body.changes);
+      if (result.applied.length) saveSpace(name, space);
+      send(res, 200, result);
+    } else {
+      send(res, 405, { error: 'Method not allowed' });
+    }
+  } catch (err) {
+    send(res, err.status || 500, { error: err.message });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Foodsies sync server on http://localhost:${port}/<space> (data in ${dir})`);
+});
@@ -0,0 +1,47 @@
+// Service worker: keeps the app shell cached so Foodsies opens offline.
+// Bump CACHE_VERSION whenever a shell file changes; the new worker installs next to the old one
+// and waits until the page asks it to take over (the "Update available" banner in app.js).
+const CACHE_VERSION = 'foodsies-shell-v20';
+const APP_SHELL = [
+  './',
+  './index.html',
+  './core.js',
+  './app.js',
+  './styles.css',
+  './manifest.webmanifest',
+  './icons/icon.svg',
+  './icons/icon-192.png',
+  './icons/icon-512.png',
+];
+
+// cache: 'reload' skips the browser's HTTP cache, so a new version never caches an older copy of a shell file
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_VERSION).then(cache => cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(k => k.startsWith('foodsies-shell-') && k !== CACHE_VERSION).map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data === 'skipWaiting') self.skipWaiting();
+});
+
+// Shell files come from the cache; anything else (the sync server, other origins) goes to the network untouched
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return;
+  const shellUrl = url.origin + url.pathname;
+  if (!APP_SHELL.some(p => new URL(p, self.registration.scope).href === shellUrl)) return;
+  event.respondWith(
+    caches.open(CACHE_VERSION)
+      .then(cache => cache.match(shellUrl))
+      .then(hit => hit || fetch(req))
+  );
+});
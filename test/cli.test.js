@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run } = require('../cli/foodsies.js');
+
+const exportData = {
+  version: 5,
+  settings: { goalProfiles: [{ id: 'g', name: 'Default', goals: {} }], defaultGoalProfileId: 'g', units: 'metric', currency: 'CHF' },
+  ingredients: [
+    { id: 'oats', name: 'Oats', kcal100: 389, protein100: 17, pricePerKg: 2, tags: ['bulk buy'] },
+    { id: 'cookies', name: 'Cookies, "choc"', kcal100: 500, protein100: 6, pricePerKg: 5, portions: [{ name: 'cookie', grams: 8 }] },
+  ],
+  meals: [
+    { id: 'b', name: 'Breakfast', items: [{ ingredientId: 'oats', mode: 'grams', amount: 50 }, { ingredientId: 'cookies', mode: 'portion', portion: 'cookie', amount: 2 }] },
+    { id: 'old', name: 'Old meal', archived: true, items: [] },
+  ],
+  days: [{ id: 'd', name: 'Plan', items: [{ mealId: 'b', servings: 2 }] }],
+  diary: [{ id: 'e1', date: '2026-10-01', items: [{ mealId: 'b' }] }, { id: 'e2', date: '2026-10-05', items: [{ mealId: 'b', servings: 0.5 }] }],
+};
+
+let dir;
+let written = 0;
+test.before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'foodsies-')); });
+test.after(() => fs.rmSync(dir, { recursive: true }));
+
+function writeExport(content) {
+  const file = path.join(dir, `foodsies-data-${++written}.json`);
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return file;
+}
+
+function cli(...argv) {
+  let out = '', err = '';
+  const code = run(argv, { out: { write: s => { out += s; } }, err: { write: s => { err += s; } } });
+  return { code, out, err };
+}
+
+test('meals prints each active meal and a total', () => {
+  const { code, out } = cli('meals', writeExport(exportData));
+  assert.equal(code, 0);
+  const lines = out.trim().split('\n');
+  assert.match(lines[0], /^Meal\s+kcal\s+protein \(g\).*cost \(CHF\)$/);
+  assert.match(lines[2], /^Breakfast\s+274\.5\s+9\.5\s/);
+  assert.ok(!out.includes('Old meal'));
+});
+
+test('days reports plans, or the diary within --from/--to', () => {
+  const file = writeExport(exportData);
+  assert.match(cli('days', file).out, /Plan\s+549\s+19\s/);
+  const diary = cli('days', file, '--diary', '--from', '2026-10-02').out;
+  assert.match(diary, /2026-10-05\s+137\.3\s/);
+  assert.ok(!diary.includes('2026-10-01'));
+  assert.equal(cli('days', file, '--from', '10/02/2026').code, 2);
+});
+
+test('csv quotes cells and lists totals per row', () => {
+  const file = writeExport(exportData);
+  const ingredients = cli('csv', 'ingredients', file).out.split('\n');
+  assert.equal(ingredients[2], 'cookies,"Cookies, ""choc""",,,,,500,6,,,,,,,5,,,cookie=8');
+  assert.equal(cli('csv', 'diary', file).out, 'date,meals,kcal,protein,carbs,fat,satFat,fiber,sugar,salt,cost\n2026-10-01,1,274.5,9.5,0,0,0,0,0,0,0.18\n2026-10-05,1,137.3,4.8,0,0,0,0,0,0,0.09\n');
+  assert.equal(cli('csv', 'nothing', file).code, 2);
+});
+
+test('validate reports problems with exit code 1', () => {
+  assert.equal(cli('validate', writeExport(exportData)).code, 0);
+  const broken = { ...exportData, days: [{ id: 'd', name: 'Plan', items: [{ mealId: 'gone' }] }] };
+  const { code, out } = cli('validate', writeExport(broken));
+  assert.equal(code, 1);
+  assert.match(out, /days\[0\] "Plan": items\[0\]: mealId "gone" does not match any meal/);
+  assert.match(cli('validate', writeExport({ version: 99 })).err, /newer version/);
+  // Unversioned files are upgraded first; what the upgrade would replace or drop still counts
+  const garbage = cli('validate', writeExport({ ingredients: 'x', diary: [{ id: 'e', date: 'soon', items: [] }] }));
+  assert.equal(garbage.code, 1);
+  assert.match(garbage.out, /ingredients: not a list \(got "x"\)/);
+  assert.match(garbage.out, /diary\[0\]: date must be YYYY-MM-DD \(got "soon"\)/);
+  assert.match(cli('validate', writeExport('{ nope')).err, /not valid JSON/);
+});
+
+test('reports on records too broken to add up list the problems instead of crashing', () => {
+  const { code, out, err } = cli('meals', writeExport({ meals: [{ id: 'm', name: 'x', items: [null] }] }));
+  assert.equal(code, 1);
+  assert.equal(out, '');
+  assert.match(err, /can't be reported on[^]*meals\[0\] "x": items\[0\]: not an object/);
+});
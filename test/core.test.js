@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+function data(overrides = {}) {
+  return { ...core.emptyData(), ...overrides };
+}
+
+const oats = { id: 'oats', name: 'Oats', kcal100: 389, protein100: 16.9, carbs100: 66.3, pricePerKg: 2.4 };
+const milk = { id: 'milk', name: 'Milk', kcal100: 64, protein100: 3.4, pricePerKg: 1.1, density: 1.03 };
+const eggs = { id: 'eggs', name: 'Eggs', kcal100: 143, protein100: 12.6, portions: [{ name: 'small egg', grams: 50 }, { name: 'large egg', grams: 63 }] };
+
+test('round1 and round2 round half up despite floating point', () => {
+  assert.equal(core.round1(1.25), 1.3);
+  assert.equal(core.round1(0.05), 0.1);
+  assert.equal(core.round1(2.449), 2.4);
+  assert.equal(core.round2(1.005), 1.01);
+  assert.equal(core.round2(2.675), 2.68);
+  assert.equal(core.round2(0.1 + 0.2), 0.3);
+  assert.equal(core.round2(3), 3);
+  assert.equal(core.round1(-1.24), -1.2);
+});
+
+test('parseDecimal reads decimal commas and the locale\'s thousands separator', () => {
+  assert.equal(core.parseDecimal('3,49', '.'), 3.49);
+  assert.equal(core.parseDecimal('3.49', '.'), 3.49);
+  assert.equal(core.parseDecimal('1.234,5', '.'), 1234.5);
+  assert.equal(core.parseDecimal('1.500', '.'), 1500);
+  assert.equal(core.parseDecimal('1,500', ','), 1500);
+  assert.equal(core.parseDecimal('1,500', '.'), 1.5);
+  assert.equal(core.parseDecimal('0.500', '.'), 0.5); // a leading 0 is never a thousands group
+  assert.equal(core.parseDecimal('0,250', ','), 0.25);
+  assert.equal(core.parseDecimal("1’234.5", '’'), 1234.5);
+  assert.ok(Number.isNaN(core.parseDecimal('', '.')));
+  assert.ok(Number.isNaN(core.parseDecimal('1.2.3', ',')));
+});
+
+test('computeFrom100g scales every nutrient and prices by the kilo', () => {
+  const res = core.computeFrom100g(oats, 50);
+  assert.equal(res.kcal, 194.5);
+  assert.equal(res.protein, 8.5);
+  assert.equal(res.carbs, 33.2);
+  assert.equal(res.fat, 0); // unknown counts as 0
+  assert.equal(res.cost, 0.12);
+  assert.equal(core.computeFrom100g({ kcal100: 100, protein100: 0 }, 100).cost, 0);
+});
+
+test('itemGrams converts portions, imperial weights and volumes through density', () => {
+  assert.equal(core.itemGrams(oats, { mode: 'grams', amount: 80 }), 80);
+  assert.equal(core.itemGrams(eggs, { mode: 'portion', portion: 'large egg', amount: 2 }), 126);
+  assert.equal(core.itemGrams(eggs, { mode: 'portion', portion: 'gone', amount: 1 }), 50); // falls back to the first portion
+  assert.equal(core.itemGrams(oats, { mode: 'portion', amount: 1 }), 0); // no portions at all
+  assert.equal(core.round2(core.itemGrams(oats, { mode: 'oz', amount: 2 })), 56.7);
+  assert.equal(core.itemGrams(milk, { mode: 'ml', amount: 250 }), 257.5);
+  assert.equal(core.itemGrams(milk, { mode: 'l', amount: 0.5 }), 515);
+  assert.equal(core.itemGrams(oats, { mode: 'ml', amount: 100 }), 0); // volume without density
+});
+
+test('ingredientPortions reads the old single portion of diary snapshots', () => {
+  assert.deepEqual(core.ingredientPortions({ portionName: 'cookie', portionGrams: 8 }), [{ name: 'cookie', grams: 8 }]);
+  assert.deepEqual(core.ingredientPortions(oats), []);
+});
+
+test('sumMeal adds items and rounds the totals', () => {
+  const d = data({ ingredients: [oats, milk, eggs] });
+  const meal = { id: 'm', items: [
+    { ingredientId: 'oats', mode: 'grams', amount: 50 },
+    { ingredientId: 'milk', mode: 'ml', amount: 200 },
+    { ingredientId: 'eggs', mode: 'portion', portion: 'small egg', amount: 1 },
+    { ingredientId: 'missing', mode: 'grams', amount: 100 },
+  ] };
+  const sums = core.sumMeal(d, meal);
+  assert.equal(sums.kcal, core.round1(194.5 + 131.8 + 71.5));
+  assert.equal(sums.protein, core.round1(8.5 + 7 + 6.3));
+  assert.equal(sums.cost, core.round2(0.12 + 0.23));
+});
+
+test('recipes count per cooked weight and per serving, and cycles add nothing', () => {
+  const chili = { id: 'chili', name: 'Chili', recipe: { cookedGrams: 500, servings: 4 }, items: [{ ingredientId: 'oats', mode: 'grams', amount: 1000 }] };
+  const d = data({ ingredients: [oats], meals: [chili] });
+  const asIng = core.recipeAsIngredient(d, chili);
+  assert.equal(asIng.kcal100, 778);
+  assert.deepEqual(asIng.portions, [{ name: 'serving', grams: 125 }]);
+  assert.equal(core.sumMeal(d, { items: [{ recipeId: 'chili', mode: 'portion', portion: 'serving', amount: 1 }] }).kcal, 972.5);
+
+  const a = { id: 'a', name: 'A', recipe: {}, items: [{ recipeId: 'b', mode: 'grams', amount: 100 }] };
+  const b = { id: 'b', name: 'B', recipe: {}, items: [{ recipeId: 'a', mode: 'grams', amount: 100 }, { ingredientId: 'oats', mode: 'grams', amount: 100 }] };
+  const cyclic = data({ ingredients: [oats], meals: [a, b] });
+  assert.equal(core.hasRecipeCycle(cyclic, a), true);
+  assert.equal(core.hasRecipeCycle(d, chili), false);
+  assert.doesNotThrow(() => core.sumMeal(cyclic, a));
+});
+
+test('sumDay applies servings, overrides and logged snapshots', () => {
+  const breakfast = { id: 'b', name: 'Breakfast', items: [{ ingredientId: 'oats', mode: 'grams', amount: 100 }] };
+  const d = data({ ingredients: [oats], meals: [breakfast] });
+  assert.equal(core.sumDay(d, { items: [{ mealId: 'b', servings: 1.5 }] }).kcal, 583.5);
+  assert.equal(core.sumDay(d, { items: [{ mealId: 'b', overrides: { oats: 50 } }] }).kcal, 194.5);
+  assert.equal(core.sumDay(d, { items: [{ mealId: 'gone' }] }).kcal, 0);
+  const snapshot = { name: 'Breakfast', items: [{ ingredientId: 'oats', mode: 'grams', amount: 100, ingredient: { ...core.frozenIngredient(oats), kcal100: 400 } }] };
+  assert.equal(core.sumDay(d, { items: [{ mealId: 'b', snapshot }] }).kcal, 400);
+});
+
+test('mealWithOverrides collapses repeated ingredients into the override', () => {
+  const meal = { items: [{ ingredientId: 'oats', amount: 30 }, { ingredientId: 'milk', amount: 200 }, { ingredientId: 'oats', amount: 20 }] };
+  assert.deepEqual(core.mealWithOverrides(meal, { oats: 40 }).items.map(it => [it.ingredientId, it.amount]), [['oats', 40], ['milk', 200]]);
+  assert.equal(core.mealWithOverrides(meal, {}), meal);
+});
+
+test('migrateData upgrades unversioned data and refuses newer versions', () => {
+  const { data: d, from } = core.migrateData({
+    settings: { goalKcal: 2000, goalProtein: 150 },
+    ingredients: [{ id: 'c', name: 'Cookie', kcal100: 500, protein100: 6, pricePerKg: 5, portionName: 'cookie', portionGrams: 8 }],
+    days: [{ id: 'x', date: '2026-01-02', items: [] }],
+  });
+  assert.equal(from, 1);
+  assert.equal(d.version, core.DATA_VERSION);
+  assert.deepEqual(d.settings.goalProfiles[0].goals.kcal, { min: 1900, max: 2100 });
+  assert.deepEqual(d.settings.goalProfiles[0].goals.protein, { min: 150, max: null });
+  assert.deepEqual(d.ingredients[0].portions, [{ name: 'cookie', grams: 8 }]);
+  assert.equal(d.ingredients[0].prices[0].pricePerKg, 5);
+  assert.equal(d.diary[0].date, '2026-01-02');
+  assert.deepEqual(core.validateData(d), []);
+  assert.throws(() => core.migrateData({ version: core.DATA_VERSION + 1 }), /newer version/);
+});
+
+test('validateData names the record and field at fault', () => {
+  const d = data({
+    ingredients: [{ id: 'o', name: 'Oats', kcal100: -1, protein100: 10 }],
+    meals: [{ id: 'm', name: 'M', items: [{ ingredientId: 'nope', mode: 'grams', amount: 1 }] }],
+  });
+  assert.deepEqual(core.validateData(d), [
+    'ingredients[0] "Oats": kcal100 must be a number ≥ 0 (got -1)',
+    'meals[0] "M": items[0]: ingredientId "nope" does not match any ingredient',
+  ]);
+});
+
+test('checkDataHealth finds broken references, duplicates and implausible values, and fixes what it can', () => {
+  const d = data({
+    ingredients: [oats, { ...oats, name: 'Oats again' }, { id: 'bad', name: 'Bad', kcal100: 950, protein100: 120, carbs100: 10, fat100: 2 }],
+    meals: [
+      { id: 'm', name: 'M', items: [{ ingredientId: 'gone', mode: 'grams', amount: 1 }, { ingredientId: 'oats', mode: 'portion', amount: 1 }] },
+      { id: 'empty', name: 'Empty', items: [] },
+    ],
+    days: [{ id: 'd', name: 'Plan', items: [{ mealId: 'nope' }] }],
+  });
+  const kinds = core.checkDataHealth(d).map(p => p.kind);
+  ['duplicate-id', 'missing-ingredient', 'no-portion', 'empty-meal', 'missing-meal', 'implausible'].forEach(k => assert.ok(kinds.includes(k), k));
+  const fat = core.checkDataHealth(d).find(p => p.message === '"Bad": 950 kcal per 100g is more than pure fat');
+  assert.deepEqual([fat.text, fat.vars], ['{name}: {kcal} kcal per 100g is more than pure fat', { kcal: 950, name: '"Bad"' }]);
+  assert.equal(core.checkDataHealth(data({ ingredients: [oats] })).length, 0);
+
+  assert.equal(core.fixAllDataProblems(d), 4);
+  assert.notEqual(d.ingredients[1].id, 'oats');
+  assert.equal(d.meals[0].items.length, 1);
+  assert.equal(d.meals[1].archived, true);
+  assert.deepEqual(d.days[0].items, []);
+  assert.deepEqual(core.checkDataHealth(d).filter(p => p.fix), []);
+});